@@ -0,0 +1,97 @@
+const path = require('path');
+
+const port = parseInt(process.env.PORT, 10) || 3100;
+
+// For settings where 0 is meaningful, so `|| fallback` would swallow it.
+const parseNonNegativeInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) || parsed < 0 ? fallback : parsed;
+};
+
+// Shortcodes that would shadow a route; always reserved, whatever is configured.
+const ROUTE_NAMES = ['api', 'admin', 'www', 'shorturls', 'health', 'stats', 'webhooks', 'domains', 'config'];
+
+const config = {
+  port,
+
+  links: {
+    baseUrl: process.env.PUBLIC_BASE_URL || `http://localhost:${port}`,
+    customDomains: (process.env.CUSTOM_DOMAINS || '')
+      .split(',')
+      .map(domain => domain.trim())
+      .filter(Boolean)
+  },
+
+  storage: {
+    driver: process.env.STORAGE_DRIVER || 'file',
+    dataDir: process.env.DATA_DIR || path.join(__dirname, '..', 'data'),
+    flushDelayMs: parseInt(process.env.STORAGE_FLUSH_DELAY_MS, 10) || 200
+  },
+
+  auth: {
+    adminToken: process.env.ADMIN_TOKEN || null
+  },
+
+  passwords: {
+    maxFailedAttempts: parseInt(process.env.PASSWORD_MAX_FAILED_ATTEMPTS, 10) || 5,
+    attemptWindowMs: (parseInt(process.env.PASSWORD_LOCKOUT_MINUTES, 10) || 15) * 60 * 1000
+  },
+
+  shortcodes: {
+    strategy: process.env.SHORTCODE_STRATEGY || 'random',
+    length: parseInt(process.env.SHORTCODE_LENGTH, 10) || 6,
+    excludeLookalikes: process.env.SHORTCODE_EXCLUDE_LOOKALIKES === 'true',
+    profanityFilter: process.env.SHORTCODE_PROFANITY_FILTER !== 'false',
+    maxAttempts: parseInt(process.env.SHORTCODE_MAX_ATTEMPTS, 10) || 10,
+    caseInsensitive: process.env.SHORTCODE_CASE_INSENSITIVE === 'true',
+    reservedWords: [...new Set([
+      ...ROUTE_NAMES,
+      ...(process.env.SHORTCODE_RESERVED_WORDS || '')
+        .split(',')
+        .map(word => word.trim().toLowerCase())
+        .filter(Boolean)
+    ])]
+  },
+
+  batch: {
+    maxItems: parseInt(process.env.BATCH_MAX_ITEMS, 10) || 100
+  },
+
+  webhooks: {
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5,
+    retryBaseDelayMs: parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 1000,
+    timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 5000,
+    deliveryLogSize: parseInt(process.env.WEBHOOK_DELIVERY_LOG_SIZE, 10) || 100
+  },
+
+  destinations: {
+    listsFile: process.env.DESTINATION_LISTS_FILE || path.join(__dirname, 'destinationLists.json'),
+    pollIntervalMs: parseInt(process.env.DESTINATION_LISTS_POLL_MS, 10) || 5000,
+    allowPrivateNetworks: process.env.ALLOW_PRIVATE_DESTINATIONS === 'true'
+  },
+
+  health: {
+    enabled: process.env.HEALTH_CHECKS_ENABLED !== 'false',
+    checkIntervalMs: parseInt(process.env.HEALTH_CHECK_INTERVAL_MS, 10) || 15 * 60 * 1000,
+    timeoutMs: parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS, 10) || 5000,
+    concurrency: parseInt(process.env.HEALTH_CHECK_CONCURRENCY, 10) || 5,
+    brokenAfterFailures: parseInt(process.env.HEALTH_BROKEN_AFTER_FAILURES, 10) || 3,
+    historySize: parseInt(process.env.HEALTH_HISTORY_SIZE, 10) || 20
+  },
+
+  previews: {
+    tokenSecret: process.env.PREVIEW_TOKEN_SECRET || null,
+    tokenTtlSeconds: parseInt(process.env.PREVIEW_TOKEN_TTL_SECONDS, 10) || 10 * 60
+  },
+
+  redirects: {
+    permanentCacheMaxAge: parseInt(process.env.REDIRECT_PERMANENT_CACHE_MAX_AGE, 10) || 24 * 60 * 60
+  },
+
+  expiry: {
+    sweepIntervalMs: parseInt(process.env.EXPIRY_SWEEP_INTERVAL_MS, 10) || 60 * 1000,
+    archiveGraceMs: parseNonNegativeInt(process.env.ARCHIVE_GRACE_DAYS, 7) * 24 * 60 * 60 * 1000
+  }
+};
+
+module.exports = config;
@@ -0,0 +1,90 @@
+const {
+  logApiKeyCreated,
+  logApiKeyRevoked,
+  logValidationError,
+  logError,
+  logInfo
+} = require('../../LoggingMiddleware');
+
+const apiKeyService = require('../services/apiKeyService');
+
+
+const createApiKey = async (req, res) => {
+  try {
+    const { owner } = req.body;
+
+    if (typeof owner !== 'string' || !/^[a-zA-Z0-9_.@-]{1,64}$/.test(owner)) {
+      logValidationError('owner', owner, 'Invalid owner');
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Owner must be 1-64 characters of letters, digits, "_", ".", "@" or "-"'
+      });
+    }
+
+    const { key, apiKey } = apiKeyService.createApiKey(owner);
+
+    logApiKeyCreated(apiKey.id, owner);
+
+    res.status(201).json({
+      ...apiKey,
+      key
+    });
+
+  } catch (error) {
+    logError('Error creating API key', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to create API key'
+    });
+  }
+};
+
+
+const listApiKeys = async (req, res) => {
+  try {
+    logInfo('API key listing requested');
+
+    res.status(200).json({
+      items: apiKeyService.listApiKeys()
+    });
+
+  } catch (error) {
+    logError('Error listing API keys', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to list API keys'
+    });
+  }
+};
+
+
+const revokeApiKey = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const apiKey = apiKeyService.revokeApiKey(id);
+    if (!apiKey) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'API key not found'
+      });
+    }
+
+    logApiKeyRevoked(id, apiKey.owner);
+
+    res.status(200).json(apiKey);
+
+  } catch (error) {
+    logError('Error revoking API key', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to revoke API key'
+    });
+  }
+};
+
+module.exports = {
+  createApiKey,
+  listApiKeys,
+  revokeApiKey
+};
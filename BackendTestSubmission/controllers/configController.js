@@ -0,0 +1,37 @@
+const { LIMITS } = require('shared-validation');
+
+const { logError } = require('../../LoggingMiddleware');
+
+const config = require('../config');
+
+
+/**
+ * The limits of the shared validation package, plus the shortcode rules and
+ * batch size that depend on this server's configuration.
+ */
+const getValidationConfig = async (req, res) => {
+  try {
+    res.status(200).json({
+      ...LIMITS,
+      shortcode: {
+        ...LIMITS.shortcode,
+        caseInsensitive: config.shortcodes.caseInsensitive,
+        reservedWords: config.shortcodes.reservedWords
+      },
+      batch: {
+        maxItems: config.batch.maxItems
+      }
+    });
+
+  } catch (error) {
+    logError('Error reading validation configuration', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to read validation configuration'
+    });
+  }
+};
+
+module.exports = {
+  getValidationConfig
+};
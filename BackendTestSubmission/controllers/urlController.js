@@ -5,128 +5,617 @@ const UAParser = require('ua-parser-js');
 
 const {
   logUrlCreated,
+  logUrlUpdated,
+  logUrlDeleted,
   logUrlAccessed,
+  logUrlPreviewed,
   logUrlNotFound,
   logUrlExpired,
+  logUrlNotYetActive,
+  logBlockedUrlAccessed,
+  logPasswordAttemptFailed,
   logShortCodeCollision,
+  logShortcodeSpaceExhausted,
   logValidationError,
+  logAuthFailure,
   logError,
   logInfo
 } = require('../../LoggingMiddleware');
 
+const config = require('../config');
 const urlService = require('../services/urlService');
+const shortcodeService = require('../services/shortcodeService');
 const validationService = require('../services/validationService');
+const passwordService = require('../services/passwordService');
+const previewService = require('../services/previewService');
+const analyticsService = require('../services/analyticsService');
+const webhookService = require('../services/webhookService');
+const qrService = require('../services/qrService');
+const domainService = require('../services/domainService');
+const ruleService = require('../services/ruleService');
+const splitTestService = require('../services/splitTestService');
+const passthroughService = require('../services/passthroughService');
+const utmService = require('../services/utmService');
+const redirectService = require('../services/redirectService');
+const destinationPolicyService = require('../services/destinationPolicyService');
+const { renderUnlockPage, renderUnlockedPage } = require('../views/unlockPage');
+const { renderPreviewPage } = require('../views/previewPage');
+
+
+const validationFailure = (field, value, message) => {
+  logValidationError(field, value, message);
+  return {
+    isValid: false,
+    status: 400,
+    error: 'Validation Error',
+    message
+  };
+};
+
+/**
+ * Validates a creation payload and builds the url entry for it without
+ * storing anything. `reservedShortcodes` holds the namespace keys of
+ * shortcodes claimed by other items of the same batch that have not been
+ * stored yet. `passwordHash` comes from hashPayloadPassword; this stays
+ * synchronous so no other request can claim the shortcode before it is stored.
+ */
+const prepareUrlEntry = ({ url, validity, shortcode, password, maxClicks, activatesAt, domain, rules, variants, passthrough, utm, redirect, preview, shortcodeOptions }, owner, reservedShortcodes = new Set(), passwordHash = null) => {
+  if (!url) {
+    return validationFailure('url', url, 'URL is required');
+  }
+
+  const urlValidation = validationService.validateUrl(url);
+  if (!urlValidation.isValid) {
+    return validationFailure('url', url, urlValidation.error);
+  }
+
+  const utmValidation = validationService.validateUtm(utm);
+  if (!utmValidation.isValid) {
+    return validationFailure('utm', utm, utmValidation.error);
+  }
+
+  const validityValidation = validationService.validateValidity(validity);
+  if (!validityValidation.isValid) {
+    return validationFailure('validity', validity, validityValidation.error);
+  }
+  const validityMinutes = validityValidation.value;
+
+  const activationValidation = validationService.validateActivatesAt(activatesAt, validityMinutes);
+  if (!activationValidation.isValid) {
+    return validationFailure('activatesAt', activatesAt, activationValidation.error);
+  }
+  const activationDate = activationValidation.value;
+
+  const maxClicksValidation = validationService.validateMaxClicks(maxClicks);
+  if (!maxClicksValidation.isValid) {
+    return validationFailure('maxClicks', maxClicks, maxClicksValidation.error);
+  }
+
+  const passwordValidation = validationService.validatePassword(password);
+  if (!passwordValidation.isValid) {
+    return validationFailure('password', '[redacted]', passwordValidation.error);
+  }
+
+  const domainValidation = validationService.validateDomain(domain);
+  if (!domainValidation.isValid) {
+    return validationFailure('domain', domain, domainValidation.error);
+  }
+
+  const rulesValidation = validationService.validateRules(rules);
+  if (!rulesValidation.isValid) {
+    return validationFailure('rules', rules, rulesValidation.error);
+  }
+
+  const variantsValidation = validationService.validateVariants(variants);
+  if (!variantsValidation.isValid) {
+    return validationFailure('variants', variants, variantsValidation.error);
+  }
+
+  const passthroughValidation = validationService.validatePassthrough(passthrough);
+  if (!passthroughValidation.isValid) {
+    return validationFailure('passthrough', passthrough, passthroughValidation.error);
+  }
+
+  const redirectValidation = validationService.validateRedirect(redirect);
+  if (!redirectValidation.isValid) {
+    return validationFailure('redirect', redirect, redirectValidation.error);
+  }
+
+  const previewValidation = validationService.validatePreview(preview);
+  if (!previewValidation.isValid) {
+    return validationFailure('preview', preview, previewValidation.error);
+  }
+
+  const cachingValidation = validationService.validateRedirectCaching({
+    maxClicks: maxClicksValidation.value,
+    rules: rulesValidation.value,
+    variants: variantsValidation.value,
+    passthrough: passthroughValidation.value,
+    redirect: redirectValidation.value,
+    passwordHash
+  });
+  if (!cachingValidation.isValid) {
+    return validationFailure('redirect', redirect, cachingValidation.error);
+  }
+
+  const shortcodeOptionsValidation = validationService.validateShortcodeOptions(shortcodeOptions);
+  if (!shortcodeOptionsValidation.isValid) {
+    return validationFailure('shortcodeOptions', shortcodeOptions, shortcodeOptionsValidation.error);
+  }
+
+  if (shortcode) {
+    const shortcodeValidation = validationService.validateShortcode(shortcode);
+    if (!shortcodeValidation.isValid) {
+      return validationFailure('shortcode', shortcode, shortcodeValidation.error);
+    }
+
+    if (urlService.shortcodeExists(shortcode) || reservedShortcodes.has(urlService.namespaceKey(shortcode))) {
+      logShortCodeCollision(shortcode);
+      return {
+        isValid: false,
+        status: 409,
+        error: 'Conflict',
+        message: 'Shortcode already exists. Please choose a different one.'
+      };
+    }
+  }
+
+  const finalShortcode = shortcode || shortcodeService.generateShortcode(shortcodeOptionsValidation.value, candidate => (
+    urlService.shortcodeExists(candidate) ||
+    reservedShortcodes.has(urlService.namespaceKey(candidate)) ||
+    !validationService.validateShortcode(candidate).isValid
+  ));
+  if (!finalShortcode) {
+    const settings = { ...shortcodeService.defaultOptions(), ...shortcodeOptionsValidation.value };
+    logShortcodeSpaceExhausted(settings.strategy, config.shortcodes.maxAttempts, { length: settings.length });
+    return {
+      isValid: false,
+      status: 503,
+      error: 'Service Unavailable',
+      message: `No free shortcode found after ${config.shortcodes.maxAttempts} attempts with the "${settings.strategy}" strategy; its namespace is nearly full. Try a longer length, another strategy or a custom shortcode.`
+    };
+  }
+
+  const startsAt = activationDate ? activationDate.getTime() : Date.now();
+  const expiresAt = new Date(startsAt + (validityMinutes * 60 * 1000));
+
+  return {
+    isValid: true,
+    urlEntry: {
+      shortcode: finalShortcode,
+      originalUrl: utmService.applyUtm(urlValidation.normalizedUrl, utmValidation.value),
+      utm: utmValidation.value,
+      owner,
+      domain: domainValidation.value,
+      createdAt: new Date().toISOString(),
+      activatesAt: activationDate ? activationDate.toISOString() : null,
+      expiresAt: expiresAt.toISOString(),
+      maxClicks: maxClicksValidation.value,
+      rules: rulesValidation.value,
+      variants: variantsValidation.value,
+      passthrough: passthroughValidation.value,
+      redirect: redirectValidation.value,
+      preview: previewValidation.value,
+      passwordHash,
+      clicks: [],
+      conversions: []
+    }
+  };
+};
+
+// Invalid passwords are not hashed; prepareUrlEntry reports them.
+const hashPayloadPassword = ({ password }) => {
+  return password && validationService.validatePassword(password).isValid
+    ? passwordService.hashPassword(password)
+    : null;
+};
+
+// A reuseExisting payload cannot ask for any of these settings, so only
+// links without them are what it would have created.
+const hasDefaultSettings = (urlEntry) => {
+  return !urlEntry.passwordHash &&
+    !urlEntry.maxClicks &&
+    !urlEntry.preview &&
+    !urlEntry.rules?.length &&
+    !urlEntry.variants?.length &&
+    !urlEntry.passthrough &&
+    redirectService.isDefaultRedirect(urlEntry);
+};
+
+/**
+ * Looks up the caller's active link for an equivalent destination when a
+ * creation payload opts into `reuseExisting`. A requested shortcode or domain
+ * must match as well, and the link must have default settings. `pendingEntries`
+ * are links created earlier in the same batch that have not been stored yet.
+ * Returns null for payloads that cannot match anything, leaving
+ * prepareUrlEntry to report what is wrong with them. Stored links passed
+ * validation, so the URL itself only needs to parse here.
+ */
+const findReusableEntry = ({ url, utm, shortcode, domain }, owner, pendingEntries = []) => {
+  const utmValidation = validationService.validateUtm(utm);
+  const domainValidation = validationService.validateDomain(domain);
+  if (typeof url !== 'string' || !utmValidation.isValid || !domainValidation.isValid) {
+    return null;
+  }
+
+  let destination;
+  let canonicalDestination;
+  try {
+    destination = utmService.applyUtm(url.trim(), utmValidation.value);
+    canonicalDestination = urlService.canonicalizeUrl(destination);
+  } catch (error) {
+    return null;
+  }
+
+  const matches = urlEntry =>
+    (!shortcode || urlService.namespaceKey(urlEntry.shortcode) === urlService.namespaceKey(shortcode)) &&
+    domainService.domainOf(urlEntry) === domainValidation.value &&
+    hasDefaultSettings(urlEntry);
+
+  return urlService.findActiveUrlByDestination(owner, destination, matches) ||
+    pendingEntries.find(urlEntry =>
+      urlService.canonicalizeUrl(urlEntry.originalUrl) === canonicalDestination &&
+      urlService.getUrlStatus(urlEntry) === 'active' &&
+      matches(urlEntry)) ||
+    null;
+};
+
+const reusedResult = (urlEntry) => {
+  logInfo('Existing short URL reused', { shortcode: urlEntry.shortcode, originalUrl: urlEntry.originalUrl });
+  return {
+    shortLink: domainService.buildShortLink(urlEntry),
+    expiry: urlEntry.expiresAt,
+    reused: true
+  };
+};
+
+const saveUrlEntry = (urlEntry) => {
+  urlService.storeUrl(urlEntry);
+  logUrlCreated(urlEntry.originalUrl, urlEntry.shortcode, urlEntry.expiresAt, { owner: urlEntry.owner });
+
+  const shortLink = domainService.buildShortLink(urlEntry);
+  webhookService.dispatchEvent('url.created', urlEntry.owner, {
+    shortcode: urlEntry.shortcode,
+    shortLink,
+    originalUrl: urlEntry.originalUrl,
+    createdAt: urlEntry.createdAt,
+    activatesAt: urlEntry.activatesAt,
+    expiresAt: urlEntry.expiresAt,
+    maxClicks: urlEntry.maxClicks
+  });
+
+  return {
+    shortLink,
+    expiry: urlEntry.expiresAt
+  };
+};
 
 
 const createShortUrl = async (req, res) => {
   try {
-    const { url, validity, shortcode } = req.body;
+    const { url, validity, shortcode, password, maxClicks, activatesAt, domain, rules, variants, passthrough, utm, redirect, preview, shortcodeOptions, reuseExisting } = req.body;
     
     logInfo('URL shortening request received', {
       originalUrl: url,
       customShortcode: shortcode,
-      validity: validity
+      validity: validity,
+      activatesAt,
+      maxClicks,
+      domain,
+      ruleCount: Array.isArray(rules) ? rules.length : 0,
+      variantCount: Array.isArray(variants) ? variants.length : 0,
+      passthrough,
+      utm,
+      redirect,
+      preview,
+      shortcodeOptions,
+      reuseExisting,
+      passwordProtected: Boolean(password)
     });
 
-    if (!url) {
-      logValidationError('url', url, 'URL is required');
+    const reuseValidation = validationService.validateReuseExisting(reuseExisting, req.body);
+    if (!reuseValidation.isValid) {
+      logValidationError('reuseExisting', reuseExisting, reuseValidation.error);
       return res.status(400).json({
         error: 'Validation Error',
-        message: 'URL is required'
+        message: reuseValidation.error
       });
     }
 
-    const urlValidation = validationService.validateUrl(url);
-    if (!urlValidation.isValid) {
-      logValidationError('url', url, urlValidation.error);
-      return res.status(400).json({
-        error: 'Validation Error',
-        message: urlValidation.error
+    const reusable = reuseValidation.value && findReusableEntry(req.body, req.owner);
+    if (reusable) {
+      return res.status(200).json(reusedResult(reusable));
+    }
+
+    const passwordHash = await hashPayloadPassword(req.body);
+    const prepared = prepareUrlEntry({ url, validity, shortcode, password, maxClicks, activatesAt, domain, rules, variants, passthrough, utm, redirect, preview, shortcodeOptions }, req.owner, undefined, passwordHash);
+    if (!prepared.isValid) {
+      return res.status(prepared.status).json({
+        error: prepared.error,
+        message: prepared.message
       });
     }
 
-    const validityValidation = validationService.validateValidity(validity);
-    if (!validityValidation.isValid) {
-      logValidationError('validity', validity, validityValidation.error);
+    res.status(201).json(saveUrlEntry(prepared.urlEntry));
+
+  } catch (error) {
+    logError('Error creating short URL', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to create short URL'
+    });
+  }
+};
+
+
+const createShortUrlBatch = async (req, res) => {
+  try {
+    const { items, mode = 'best-effort' } = req.body;
+
+    logInfo('Batch URL shortening request received', {
+      itemCount: Array.isArray(items) ? items.length : 0,
+      mode
+    });
+
+    const batchValidation = validationService.validateBatch(items, mode, config.batch.maxItems);
+    if (!batchValidation.isValid) {
+      logValidationError('items', Array.isArray(items) ? items.length : items, batchValidation.error, { mode });
       return res.status(400).json({
         error: 'Validation Error',
-        message: validityValidation.error
+        message: batchValidation.error
       });
     }
-    const validityMinutes = validityValidation.value;
 
-    if (shortcode) {
-      const shortcodeValidation = validationService.validateShortcode(shortcode);
-      if (!shortcodeValidation.isValid) {
-        logValidationError('shortcode', shortcode, shortcodeValidation.error);
-        return res.status(400).json({
-          error: 'Validation Error',
-          message: shortcodeValidation.error
-        });
-      }
+    const isObject = item => item && typeof item === 'object' && !Array.isArray(item);
+    // Hashed up front, so the items below are prepared and stored in one go.
+    const passwordHashes = await Promise.all(items.map(item => isObject(item) ? hashPayloadPassword(item) : null));
 
-      if (urlService.shortcodeExists(shortcode)) {
-        logShortCodeCollision(shortcode);
-        return res.status(409).json({
-          error: 'Conflict',
-          message: 'Shortcode already exists. Please choose a different one.'
-        });
+    const reservedShortcodes = new Set();
+    const createdEntries = [];
+    const prepared = items.map((item, index) => {
+      if (!isObject(item)) {
+        return validationFailure('item', item, 'Each batch item must be an object');
       }
-    }
-
-    const finalShortcode = shortcode || urlService.generateShortcode();
-
-    const expiresAt = new Date(Date.now() + (validityMinutes * 60 * 1000));
 
+      const reuseValidation = validationService.validateReuseExisting(item.reuseExisting, item);
+      if (!reuseValidation.isValid) {
+        return validationFailure('reuseExisting', item.reuseExisting, reuseValidation.error);
+      }
 
-    const urlEntry = {
-      shortcode: finalShortcode,
-      originalUrl: url,
-      createdAt: new Date().toISOString(),
-      expiresAt: expiresAt.toISOString(),
-      clicks: []
-    };
+      const reusable = reuseValidation.value && findReusableEntry(item, req.owner, createdEntries);
+      if (reusable) {
+        return { isValid: true, reusedEntry: reusable };
+      }
 
+      const result = prepareUrlEntry(item, req.owner, reservedShortcodes, passwordHashes[index]);
+      if (result.isValid) {
+        reservedShortcodes.add(urlService.namespaceKey(result.urlEntry.shortcode));
+        createdEntries.push(result.urlEntry);
+      }
+      return result;
+    });
 
-    urlService.storeUrl(urlEntry);
+    const failedCount = prepared.filter(result => !result.isValid).length;
 
+    if (mode === 'all-or-nothing' && failedCount > 0) {
+      logInfo('Batch URL shortening rolled back', { itemCount: items.length, failed: failedCount });
+      return res.status(400).json({
+        mode,
+        total: items.length,
+        succeeded: 0,
+        failed: items.length,
+        results: prepared.map((result, index) => result.isValid
+          ? {
+            index,
+            success: false,
+            status: 424,
+            error: 'Failed Dependency',
+            message: 'Not created because another item in the batch failed'
+          }
+          : {
+            index,
+            success: false,
+            status: result.status,
+            error: result.error,
+            message: result.message
+          })
+      });
+    }
 
-    const shortLink = `http://localhost:${process.env.PORT || 3100}/${finalShortcode}`;
+    const results = prepared.map((result, index) => {
+      if (!result.isValid) {
+        return { index, success: false, status: result.status, error: result.error, message: result.message };
+      }
+      return result.reusedEntry
+        ? { index, success: true, status: 200, ...reusedResult(result.reusedEntry) }
+        : { index, success: true, status: 201, ...saveUrlEntry(result.urlEntry) };
+    });
 
-    logUrlCreated(url, finalShortcode, expiresAt.toISOString());
+    logInfo('Batch URL shortening completed', {
+      mode,
+      itemCount: items.length,
+      succeeded: items.length - failedCount,
+      failed: failedCount
+    });
 
-    res.status(201).json({
-      shortLink,
-      expiry: expiresAt.toISOString()
+    res.status(failedCount > 0 ? 207 : 201).json({
+      mode,
+      total: items.length,
+      succeeded: items.length - failedCount,
+      failed: failedCount,
+      results
     });
 
   } catch (error) {
-    logError('Error creating short URL', error);
+    logError('Error creating short URL batch', error);
     res.status(500).json({
       error: 'Internal Server Error',
-      message: 'Failed to create short URL'
+      message: 'Failed to create short URLs'
     });
   }
 };
 
 
+const wantsHtml = (req) => req.accepts(['json', 'html']) === 'html';
+
+/**
+ * Gatekeeper for password-protected links. Browsers get an unlock form that
+ * posts back to the short link; API clients send the password in the
+ * X-Link-Password header. Resolves to true once the password has been
+ * accepted, otherwise sends the appropriate response and resolves to false.
+ */
+const checkLinkPassword = async (urlEntry, req, res) => {
+  const { shortcode } = urlEntry;
+  const ip = req.ip || req.connection.remoteAddress || 'Unknown';
+
+  const rejectIfLockedOut = () => {
+    const lockoutSeconds = passwordService.getLockoutSeconds(shortcode);
+    if (lockoutSeconds === 0) {
+      return false;
+    }
+
+    const message = 'Too many incorrect password attempts. Please try again later.';
+    res.set('Retry-After', String(lockoutSeconds)).status(429);
+    if (wantsHtml(req)) {
+      res.send(renderUnlockPage({ shortcode, error: message }));
+    } else {
+      res.json({ error: 'Too Many Requests', message });
+    }
+    return true;
+  };
+
+  if (rejectIfLockedOut()) {
+    return false;
+  }
+
+  const password = req.get('X-Link-Password') || (req.method === 'POST' ? req.body.password : undefined);
+
+  if (typeof password !== 'string' || password === '') {
+    res.status(401);
+    if (wantsHtml(req)) {
+      res.send(renderUnlockPage({ shortcode }));
+    } else {
+      res.json({
+        error: 'Unauthorized',
+        message: 'This short URL is password protected. Send the password in the X-Link-Password header.'
+      });
+    }
+    return false;
+  }
+
+  const matches = await passwordService.verifyPassword(password, urlEntry.passwordHash);
+
+  // Attempts sent in parallel all got past the first check; whatever the
+  // outcome, those finishing after the limit was reached are turned away.
+  if (rejectIfLockedOut()) {
+    return false;
+  }
+
+  if (!matches) {
+    const { attempts, locked } = passwordService.recordFailedAttempt(shortcode);
+    logPasswordAttemptFailed(shortcode, ip, attempts, { locked });
+
+    res.status(401);
+    if (wantsHtml(req)) {
+      res.send(renderUnlockPage({ shortcode, error: 'Incorrect password' }));
+    } else {
+      res.json({ error: 'Unauthorized', message: 'Incorrect password' });
+    }
+    return false;
+  }
+
+  passwordService.clearFailedAttempts(shortcode);
+  return true;
+};
+
+
+const PREVIEW_SUFFIX = '+';
+// Added by the preview's continue link; never passed on to the destination.
+const CONFIRM_PARAM = 'confirm';
+
 const redirectToUrl = async (req, res) => {
   try {
-    const { shortcode } = req.params;
+    // `/abc123+` asks for the preview page of any link.
+    const previewRequested = req.params.shortcode.endsWith(PREVIEW_SUFFIX);
+    const shortcode = urlService.resolveShortcode(previewRequested
+      ? req.params.shortcode.slice(0, -PREVIEW_SUFFIX.length)
+      : req.params.shortcode);
     
-    logInfo('Redirect request received', { shortcode });
+    logInfo('Redirect request received', { shortcode, previewRequested });
 
  
-    const urlEntry = urlService.getUrl(shortcode);
+    // Shortcodes only resolve on the domain they were created under.
+    const host = req.get('Host');
+    const liveEntry = urlService.getUrl(shortcode);
+    const urlEntry = liveEntry && domainService.isServedOnHost(liveEntry, host) ? liveEntry : null;
 
     if (!urlEntry) {
-      logUrlNotFound(shortcode);
+      const archivedEntry = urlService.getArchivedUrl(shortcode);
+      if (archivedEntry && domainService.isServedOnHost(archivedEntry, host)) {
+        logUrlExpired(shortcode, { archived: true });
+        return res.status(410).json({
+          error: 'Gone',
+          message: 'Short URL has expired'
+        });
+      }
+
+      logUrlNotFound(shortcode, { host });
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Short URL not found'
+      });
+    }
+
+    // Raw (still percent-encoded) parts the visitor appended to the short link.
+    const rest = req.params[0] !== undefined ? req.path.slice(req.params.shortcode.length + 2) : '';
+    const queryIndex = req.originalUrl.indexOf('?');
+    const queryParts = queryIndex === -1 ? [] : req.originalUrl.slice(queryIndex + 1).split('&');
+    const confirmToken = queryParts.find(part => part.startsWith(`${CONFIRM_PARAM}=`))?.slice(CONFIRM_PARAM.length + 1);
+    const confirmed = previewService.verifyConfirmToken(urlEntry.shortcode, confirmToken);
+    const query = queryParts.filter(part => part.split('=')[0] !== CONFIRM_PARAM).join('&');
+
+    if (rest && !urlEntry.passthrough?.path) {
+      logUrlNotFound(shortcode, { rest, reason: 'PATH_PASSTHROUGH_DISABLED' });
       return res.status(404).json({
         error: 'Not Found',
         message: 'Short URL not found'
       });
     }
 
+    if (passthroughService.hasDotSegment(rest)) {
+      logValidationError('path', rest, 'Dot segments are not allowed', { shortcode });
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'The appended path may not contain "." or ".." segments'
+      });
+    }
+
+    if (urlEntry.deactivatedAt) {
+      logUrlNotFound(shortcode, { deactivatedAt: urlEntry.deactivatedAt });
+      return res.status(410).json({
+        error: 'Gone',
+        message: 'Short URL has been deleted'
+      });
+    }
+
+    if (urlEntry.blockedAt) {
+      logBlockedUrlAccessed(shortcode, urlEntry.blockedReason, { blockedAt: urlEntry.blockedAt });
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Short URL has been disabled because its destination is not allowed'
+      });
+    }
+
+    if (urlEntry.activatesAt && new Date() < new Date(urlEntry.activatesAt)) {
+      logUrlNotYetActive(shortcode, urlEntry.activatesAt);
+      const secondsUntilActive = Math.ceil((new Date(urlEntry.activatesAt) - new Date()) / 1000);
+      return res.set('Retry-After', String(secondsUntilActive)).status(403).json({
+        error: 'Not Yet Active',
+        message: 'Short URL is not active yet',
+        activatesAt: urlEntry.activatesAt
+      });
+    }
+
     if (new Date() > new Date(urlEntry.expiresAt)) {
       logUrlExpired(shortcode);
       return res.status(410).json({
@@ -135,6 +624,20 @@ const redirectToUrl = async (req, res) => {
       });
     }
 
+    // Checked before the click limit, which may be reached by other visits
+    // while the password is being verified.
+    if (urlEntry.passwordHash && !(await checkLinkPassword(urlEntry, req, res))) {
+      return;
+    }
+
+    if (urlService.hasReachedClickLimit(urlEntry)) {
+      logUrlExpired(shortcode, { reason: 'CLICK_LIMIT_REACHED', maxClicks: urlEntry.maxClicks });
+      return res.status(410).json({
+        error: 'Gone',
+        message: 'Short URL has reached its click limit'
+      });
+    }
+
     const userAgent = req.get('User-Agent') || 'Unknown';
     const ip = req.ip || req.connection.remoteAddress || 'Unknown';
     const referrer = req.get('Referer') || 'Direct';
@@ -148,21 +651,115 @@ const redirectToUrl = async (req, res) => {
     const result = parser.getResult();
     const browser = `${result.browser.name || 'Unknown'} ${result.browser.version || ''}`.trim();
 
+    const visitor = {
+      country: geo?.country || 'Unknown',
+      browser: result.browser.name || 'Unknown',
+      os: result.os.name || 'Unknown',
+      device: result.device.type || 'desktop'
+    };
+
+    // Targeting rules take precedence; visitors no rule claims take part in
+    // the split test, if the link runs one.
+    const matched = ruleService.matchRule(urlEntry.rules, visitor);
+    let variant = null;
+    if (!matched && urlEntry.variants?.length) {
+      // Scoped to `/` so the preview (`/abc123+`) and passthrough paths see
+      // it too; the name keeps it per link, whatever case was typed.
+      const cookieName = splitTestService.variantCookieName(urlEntry.shortcode);
+      variant = splitTestService.chooseVariant(urlEntry.variants, req.cookies[cookieName]);
+      res.cookie(cookieName, variant.id, {
+        maxAge: Math.max(new Date(urlEntry.expiresAt) - Date.now(), 0),
+        httpOnly: true,
+        sameSite: 'lax',
+        path: '/'
+      });
+    }
+    // `originalUrl` is tagged when stored; rule and variant destinations are
+    // tagged here, so changing either with PATCH keeps the link's UTM tags.
+    const destination = passthroughService.applyPassthrough(
+      utmService.applyUtm(matched ? matched.rule.url : (variant ? variant.url : urlEntry.originalUrl), urlEntry.utm),
+      { query, rest },
+      urlEntry.passthrough
+    );
+
+    // A preview is not a click. Its continue button comes back through the
+    // short link with a signed, short-lived `confirm` token, and that visit is
+    // counted. Unlocking a protected link from its form is a deliberate step
+    // that already shows the destination, so it skips the preview.
+    const unlocked = req.method === 'POST' && Boolean(urlEntry.passwordHash);
+    if (!confirmed && !unlocked && (previewRequested || urlEntry.preview)) {
+      const shortLink = domainService.buildShortLink(urlEntry);
+      const confirmParam = `${CONFIRM_PARAM}=${previewService.issueConfirmToken(urlEntry.shortcode)}`;
+      const continueLink = `${shortLink}${rest ? `/${rest}` : ''}?${[query, confirmParam].filter(Boolean).join('&')}`;
+
+      logUrlPreviewed(shortcode, destination);
+      res.set('Cache-Control', 'no-store');
+      if (wantsHtml(req)) {
+        return res.send(renderPreviewPage({ shortLink, continueLink, destination, urlEntry }));
+      }
+      return res.json({
+        shortcode,
+        shortLink,
+        continueLink,
+        destination,
+        domain: new URL(destination).hostname,
+        createdAt: urlEntry.createdAt,
+        expiresAt: urlEntry.expiresAt,
+        remainingClicks: urlEntry.maxClicks ? Math.max(urlEntry.maxClicks - urlEntry.clicks.length, 0) : null
+      });
+    }
 
     const clickData = {
       timestamp: new Date().toISOString(),
       referrer,
       location,
       userAgent: browser,
+      ...visitor,
+      matchedRule: matched ? { index: matched.index, name: matched.rule.name || null } : null,
+      variant: variant ? variant.id : null,
+      destination,
+      previewed: confirmed,
       ip: ip.replace(/^.*:/, '')
     };
 
     urlService.recordClick(shortcode, clickData);
 
-    logUrlAccessed(shortcode, urlEntry.originalUrl, browser, ip, referrer);
+    logUrlAccessed(shortcode, destination, browser, ip, referrer, {
+      ...(matched && { matchedRule: matched.index }),
+      ...(variant && { variant: variant.id }),
+      ...(confirmed && { previewed: true })
+    });
 
-    
-    res.redirect(302, urlEntry.originalUrl);
+    webhookService.dispatchEvent('url.clicked', urlEntry.owner, {
+      shortcode,
+      originalUrl: urlEntry.originalUrl,
+      click: formatClickDetails(clickData)
+    });
+
+    const clickedEntry = urlService.getUrl(shortcode);
+    if (urlService.hasReachedClickLimit(clickedEntry)) {
+      webhookService.dispatchEvent('url.expired', urlEntry.owner, {
+        shortcode,
+        originalUrl: urlEntry.originalUrl,
+        reason: 'clickLimit',
+        expiresAt: urlEntry.expiresAt,
+        totalClicks: clickedEntry.clicks.length
+      });
+    }
+
+    // Unlock forms are POSTed here. Browsers get a page linking on, since
+    // the unlock page's CSP stops redirects that follow its form; API clients
+    // get a 303, as a 307/308 would re-send the password to the destination.
+    if (req.method === 'POST') {
+      res.set('Cache-Control', 'no-store');
+      if (wantsHtml(req)) {
+        return res.send(renderUnlockedPage({ shortcode, destination }));
+      }
+      return res.redirect(303, destination);
+    }
+
+    res.set('Cache-Control', redirectService.cacheControlFor(urlEntry));
+    res.redirect(redirectService.redirectSettings(urlEntry).status, destination);
 
   } catch (error) {
     logError('Error redirecting URL', error);
@@ -174,36 +771,63 @@ const redirectToUrl = async (req, res) => {
 };
 
 
+const formatClick = (click) => ({
+  timestamp: click.timestamp,
+  referrer: click.referrer,
+  location: click.location,
+  userAgent: click.userAgent
+});
+
+const formatClickDetails = (click) => ({
+  ...formatClick(click),
+  country: click.country,
+  browser: click.browser,
+  os: click.os,
+  device: click.device,
+  matchedRule: click.matchedRule || null,
+  variant: click.variant || null,
+  destination: click.destination || null,
+  previewed: Boolean(click.previewed)
+});
+
+
 const getUrlStats = async (req, res) => {
   try {
     const { shortcode } = req.params;
+    const includeClicks = req.query.includeClicks !== 'false';
     
-    logInfo('Statistics request received', { shortcode });
+    logInfo('Statistics request received', { shortcode, includeClicks });
 
  
-    const urlEntry = urlService.getUrl(shortcode);
-
-    if (!urlEntry) {
-      logUrlNotFound(shortcode);
-      return res.status(404).json({
-        error: 'Not Found',
-        message: 'Short URL not found'
-      });
-    }
+    const urlEntry = findOwnedUrl(shortcode, req, res);
+    if (!urlEntry) return;
 
  
     const stats = {
       shortcode: urlEntry.shortcode,
+      shortLink: domainService.buildShortLink(urlEntry),
+      domain: domainService.domainOf(urlEntry),
       originalUrl: urlEntry.originalUrl,
       createdAt: urlEntry.createdAt,
+      activatesAt: urlEntry.activatesAt || null,
       expiresAt: urlEntry.expiresAt,
+      updatedAt: urlEntry.updatedAt || null,
+      deactivatedAt: urlEntry.deactivatedAt || null,
+      archived: Boolean(urlEntry.archivedAt),
+      passwordProtected: Boolean(urlEntry.passwordHash),
       totalClicks: urlEntry.clicks.length,
-      clicks: urlEntry.clicks.map(click => ({
-        timestamp: click.timestamp,
-        referrer: click.referrer,
-        location: click.location,
-        userAgent: click.userAgent
-      }))
+      maxClicks: urlEntry.maxClicks || null,
+      rules: urlEntry.rules || [],
+      variants: splitTestService.summarizeVariants(urlEntry),
+      passthrough: urlEntry.passthrough || null,
+      utm: urlEntry.utm || null,
+      redirect: redirectService.redirectSettings(urlEntry),
+      preview: Boolean(urlEntry.preview),
+      blocked: urlEntry.blockedAt ? { at: urlEntry.blockedAt, reason: urlEntry.blockedReason } : null,
+      health: urlEntry.health || null,
+      totalConversions: (urlEntry.conversions || []).length,
+      remainingClicks: urlEntry.maxClicks ? Math.max(urlEntry.maxClicks - urlEntry.clicks.length, 0) : null,
+      ...(includeClicks && { clicks: urlEntry.clicks.map(formatClick) })
     };
 
     logInfo('Statistics retrieved successfully', { 
@@ -222,8 +846,524 @@ const getUrlStats = async (req, res) => {
   }
 };
 
+const getUrlAnalytics = async (req, res) => {
+  try {
+    const { shortcode } = req.params;
+
+    logInfo('Analytics request received', { shortcode, query: req.query });
+
+    const urlEntry = findOwnedUrl(shortcode, req, res);
+    if (!urlEntry) return;
+
+    const queryValidation = validationService.validateAnalyticsQuery(req.query, urlEntry.createdAt);
+    if (!queryValidation.isValid) {
+      logValidationError('query', req.query, queryValidation.error, { shortcode });
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: queryValidation.error
+      });
+    }
+
+    res.status(200).json({
+      shortcode,
+      ...analyticsService.aggregateClicks(urlEntry.clicks, queryValidation.value)
+    });
+
+  } catch (error) {
+    logError('Error aggregating URL analytics', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to aggregate analytics'
+    });
+  }
+};
+
+
+const getUrlClicks = async (req, res) => {
+  try {
+    const { shortcode } = req.params;
+
+    logInfo('Click listing request received', { shortcode, query: req.query });
+
+    const urlEntry = findOwnedUrl(shortcode, req, res);
+    if (!urlEntry) return;
+
+    const queryValidation = validationService.validateClicksQuery(req.query);
+    if (!queryValidation.isValid) {
+      logValidationError('query', req.query, queryValidation.error, { shortcode });
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: queryValidation.error
+      });
+    }
+
+    const { items, nextCursor } = analyticsService.paginateClicks(urlEntry.clicks, queryValidation.value);
+
+    res.status(200).json({
+      shortcode,
+      totalClicks: urlEntry.clicks.length,
+      items: items.map(formatClickDetails),
+      limit: queryValidation.value.limit,
+      nextCursor
+    });
+
+  } catch (error) {
+    logError('Error listing URL clicks', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to list clicks'
+    });
+  }
+};
+
+
+const getUrlQrCode = async (req, res) => {
+  try {
+    const { shortcode } = req.params;
+
+    logInfo('QR code request received', { shortcode, query: req.query });
+
+    const urlEntry = findOwnedUrl(shortcode, req, res);
+    if (!urlEntry) return;
+
+    const acceptedType = req.accepts(['image/png', 'image/svg+xml']);
+    const acceptedFormat = acceptedType === 'image/svg+xml' ? 'svg' : 'png';
+
+    const queryValidation = validationService.validateQrQuery(req.query, acceptedFormat);
+    if (!queryValidation.isValid) {
+      logValidationError('query', req.query, queryValidation.error, { shortcode });
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: queryValidation.error
+      });
+    }
+
+    const { format } = queryValidation.value;
+    const qrCode = await qrService.generateQrCode(domainService.buildShortLink(urlEntry), queryValidation.value);
+
+    res.set({
+      'Content-Type': qrCode.contentType,
+      'Content-Disposition': `inline; filename="${shortcode}.${format}"`,
+      'Cache-Control': 'private, max-age=3600',
+      Vary: 'Accept'
+    });
+    res.status(200).send(qrCode.body);
+
+  } catch (error) {
+    logError('Error generating QR code', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to generate QR code'
+    });
+  }
+};
+
+
+const recordConversion = async (req, res) => {
+  try {
+    const { shortcode } = req.params;
+    const { variant } = req.body;
+
+    logInfo('Conversion received', { shortcode, variant });
+
+    const urlEntry = findManageableUrl(shortcode, req, res);
+    if (!urlEntry) return;
+
+    if (!urlEntry.variants?.length) {
+      logValidationError('variant', variant, 'Short URL is not split-tested', { shortcode });
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'This short URL has no variants to attribute conversions to'
+      });
+    }
+
+    if (!urlEntry.variants.some(candidate => candidate.id === variant)) {
+      logValidationError('variant', variant, 'Unknown variant', { shortcode });
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: `Variant must be one of: ${urlEntry.variants.map(candidate => candidate.id).join(', ')}`
+      });
+    }
+
+    urlService.recordConversion(shortcode, {
+      timestamp: new Date().toISOString(),
+      variant
+    });
+
+    res.status(201).json({
+      shortcode,
+      variant,
+      variants: splitTestService.summarizeVariants(urlService.getUrl(shortcode))
+    });
+
+  } catch (error) {
+    logError('Error recording conversion', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to record conversion'
+    });
+  }
+};
+
+
+const listDomains = async (req, res) => {
+  try {
+    res.status(200).json({
+      defaultDomain: domainService.getDefaultDomain(),
+      items: domainService.listDomains().map(({ domain, baseUrl }) => ({ domain, baseUrl }))
+    });
+
+  } catch (error) {
+    logError('Error listing domains', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to list domains'
+    });
+  }
+};
+
+
+const listShortUrls = async (req, res) => {
+  try {
+    logInfo('URL listing request received', { query: req.query });
+
+    const queryValidation = validationService.validateListQuery(req.query);
+    if (!queryValidation.isValid) {
+      logValidationError('query', req.query, queryValidation.error);
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: queryValidation.error
+      });
+    }
+
+    let cursor = null;
+    if (req.query.cursor !== undefined) {
+      cursor = typeof req.query.cursor === 'string' ? urlService.decodeCursor(req.query.cursor) : null;
+      if (!cursor) {
+        logValidationError('cursor', req.query.cursor, 'Invalid cursor');
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'Cursor is invalid'
+        });
+      }
+    }
+
+    const { items, nextCursor } = urlService.listUrls({ ...queryValidation.value, cursor, owner: req.owner });
+    const now = new Date();
+
+    res.status(200).json({
+      items: items.map(urlEntry => ({
+        shortcode: urlEntry.shortcode,
+        shortLink: domainService.buildShortLink(urlEntry),
+        domain: domainService.domainOf(urlEntry),
+        originalUrl: urlEntry.originalUrl,
+        createdAt: urlEntry.createdAt,
+        expiresAt: urlEntry.expiresAt,
+        status: urlService.getUrlStatus(urlEntry, now),
+        totalClicks: urlEntry.clicks.length
+      })),
+      limit: queryValidation.value.limit,
+      nextCursor
+    });
+
+  } catch (error) {
+    logError('Error listing short URLs', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to list short URLs'
+    });
+  }
+};
+
+
+/**
+ * Looks up a live or archived link on behalf of the requesting API key owner,
+ * answering 404 for unknown shortcodes and 403 for links owned by someone
+ * else. Returns null once a response has been sent.
+ */
+const findOwnedUrl = (shortcode, req, res) => {
+  const urlEntry = urlService.getUrl(shortcode) || urlService.getArchivedUrl(shortcode);
+
+  if (!urlEntry) {
+    logUrlNotFound(shortcode);
+    res.status(404).json({
+      error: 'Not Found',
+      message: 'Short URL not found'
+    });
+    return null;
+  }
+
+  if (urlEntry.owner !== req.owner) {
+    logAuthFailure('Short URL owned by another API key owner', { shortcode, owner: req.owner });
+    res.status(403).json({
+      error: 'Forbidden',
+      message: 'You do not have access to this short URL'
+    });
+    return null;
+  }
+
+  return urlEntry;
+};
+
+
+/**
+ * Like findOwnedUrl, but additionally answers 410 for links that were
+ * archived or deleted since those can no longer be changed.
+ */
+const findManageableUrl = (shortcode, req, res) => {
+  const urlEntry = findOwnedUrl(shortcode, req, res);
+  if (!urlEntry) return null;
+
+  if (urlEntry.archivedAt) {
+    logUrlExpired(shortcode, { archived: true });
+    res.status(410).json({
+      error: 'Gone',
+      message: 'Short URL has expired and can no longer be changed'
+    });
+    return null;
+  }
+
+  if (urlEntry.deactivatedAt) {
+    res.status(410).json({
+      error: 'Gone',
+      message: 'Short URL has been deleted'
+    });
+    return null;
+  }
+
+  return urlEntry;
+};
+
+
+const updateShortUrl = async (req, res) => {
+  try {
+    const { shortcode } = req.params;
+    const { url, validity, password, maxClicks, rules, variants, passthrough, redirect, preview } = req.body;
+
+    logInfo('URL update request received', {
+      shortcode,
+      originalUrl: url,
+      validity,
+      maxClicks,
+      rulesChanged: rules !== undefined,
+      variantsChanged: variants !== undefined,
+      passthrough,
+      redirect,
+      preview,
+      passwordChanged: password !== undefined
+    });
+
+    const urlEntry = findManageableUrl(shortcode, req, res);
+    if (!urlEntry) return;
+
+    if ([url, validity, password, maxClicks, rules, variants, passthrough, redirect, preview].every(value => value === undefined)) {
+      logValidationError('body', req.body, 'Nothing to update');
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Provide a url, validity, maxClicks, rules, variants, passthrough, redirect, preview or password to update'
+      });
+    }
+
+    const changes = {};
+
+    if (url !== undefined) {
+      const urlValidation = validationService.validateUrl(url);
+      if (!urlValidation.isValid) {
+        logValidationError('url', url, urlValidation.error, { shortcode });
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: urlValidation.error
+        });
+      }
+      changes.originalUrl = utmService.applyUtm(urlValidation.normalizedUrl, urlEntry.utm);
+      // The health history belongs to the old destination.
+      changes.health = null;
+    }
+
+    if (validity !== undefined) {
+      const validityValidation = validationService.validateValidity(validity);
+      if (!validityValidation.isValid) {
+        logValidationError('validity', validity, validityValidation.error, { shortcode });
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: validityValidation.error
+        });
+      }
+      // Scheduled links keep counting their validity from activation.
+      const startsAt = Math.max(Date.now(), urlEntry.activatesAt ? new Date(urlEntry.activatesAt).getTime() : 0);
+      changes.expiresAt = new Date(startsAt + (validityValidation.value * 60 * 1000)).toISOString();
+    }
+
+    if (maxClicks !== undefined) {
+      const maxClicksValidation = validationService.validateMaxClicks(maxClicks);
+      if (!maxClicksValidation.isValid) {
+        logValidationError('maxClicks', maxClicks, maxClicksValidation.error, { shortcode });
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: maxClicksValidation.error
+        });
+      }
+      changes.maxClicks = maxClicksValidation.value;
+    }
+
+    if (rules !== undefined) {
+      const rulesValidation = validationService.validateRules(rules);
+      if (!rulesValidation.isValid) {
+        logValidationError('rules', rules, rulesValidation.error, { shortcode });
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: rulesValidation.error
+        });
+      }
+      changes.rules = rulesValidation.value;
+    }
+
+    if (variants !== undefined) {
+      const variantsValidation = validationService.validateVariants(variants);
+      if (!variantsValidation.isValid) {
+        logValidationError('variants', variants, variantsValidation.error, { shortcode });
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: variantsValidation.error
+        });
+      }
+      changes.variants = variantsValidation.value;
+    }
+
+    if (passthrough !== undefined) {
+      const passthroughValidation = validationService.validatePassthrough(passthrough);
+      if (!passthroughValidation.isValid) {
+        logValidationError('passthrough', passthrough, passthroughValidation.error, { shortcode });
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: passthroughValidation.error
+        });
+      }
+      changes.passthrough = passthroughValidation.value;
+    }
+
+    if (redirect !== undefined) {
+      const redirectValidation = validationService.validateRedirect(redirect);
+      if (!redirectValidation.isValid) {
+        logValidationError('redirect', redirect, redirectValidation.error, { shortcode });
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: redirectValidation.error
+        });
+      }
+      changes.redirect = redirectValidation.value;
+    }
+
+    if (preview !== undefined) {
+      const previewValidation = validationService.validatePreview(preview);
+      if (!previewValidation.isValid) {
+        logValidationError('preview', preview, previewValidation.error, { shortcode });
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: previewValidation.error
+        });
+      }
+      changes.preview = previewValidation.value;
+    }
+
+    if (password !== undefined) {
+      const passwordValidation = validationService.validatePassword(password);
+      if (!passwordValidation.isValid) {
+        logValidationError('password', '[redacted]', passwordValidation.error, { shortcode });
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: passwordValidation.error
+        });
+      }
+      changes.passwordHash = password ? await passwordService.hashPassword(password) : null;
+    }
+
+    const cachingValidation = validationService.validateRedirectCaching({ ...urlEntry, ...changes });
+    if (!cachingValidation.isValid) {
+      logValidationError('redirect', redirect, cachingValidation.error, { shortcode });
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: cachingValidation.error
+      });
+    }
+
+    // New destinations passed validation; this lifts a block they replaced.
+    const updatedEntry = destinationPolicyService.recheckLink(urlService.updateUrl(shortcode, changes));
+
+    const { passwordHash, ...loggedChanges } = changes;
+    logUrlUpdated(shortcode, {
+      ...loggedChanges,
+      ...(passwordHash !== undefined && { passwordProtected: Boolean(passwordHash) })
+    }, { previousUrl: urlEntry.originalUrl, previousExpiry: urlEntry.expiresAt });
+
+    res.status(200).json({
+      shortLink: domainService.buildShortLink(updatedEntry),
+      originalUrl: updatedEntry.originalUrl,
+      expiry: updatedEntry.expiresAt,
+      maxClicks: updatedEntry.maxClicks || null,
+      rules: updatedEntry.rules || [],
+      variants: updatedEntry.variants || [],
+      passthrough: updatedEntry.passthrough || null,
+      redirect: redirectService.redirectSettings(updatedEntry),
+      preview: Boolean(updatedEntry.preview)
+    });
+
+  } catch (error) {
+    logError('Error updating short URL', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to update short URL'
+    });
+  }
+};
+
+
+const deleteShortUrl = async (req, res) => {
+  try {
+    const { shortcode } = req.params;
+
+    logInfo('URL delete request received', { shortcode });
+
+    const urlEntry = findManageableUrl(shortcode, req, res);
+    if (!urlEntry) return;
+
+    const deactivatedEntry = urlService.deactivateUrl(shortcode);
+
+    logUrlDeleted(shortcode, {
+      originalUrl: urlEntry.originalUrl,
+      deactivatedAt: deactivatedEntry.deactivatedAt,
+      totalClicks: urlEntry.clicks.length
+    });
+
+    webhookService.dispatchEvent('url.deleted', urlEntry.owner, {
+      shortcode: urlEntry.shortcode,
+      originalUrl: urlEntry.originalUrl,
+      deactivatedAt: deactivatedEntry.deactivatedAt,
+      totalClicks: urlEntry.clicks.length
+    });
+
+    res.status(204).end();
+
+  } catch (error) {
+    logError('Error deleting short URL', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to delete short URL'
+    });
+  }
+};
+
 module.exports = {
   createShortUrl,
+  createShortUrlBatch,
   redirectToUrl,
-  getUrlStats
+  getUrlStats,
+  getUrlAnalytics,
+  getUrlClicks,
+  getUrlQrCode,
+  recordConversion,
+  listDomains,
+  listShortUrls,
+  updateShortUrl,
+  deleteShortUrl
 };
@@ -0,0 +1,174 @@
+const {
+  logWebhookCreated,
+  logWebhookDeleted,
+  logValidationError,
+  logAuthFailure,
+  logError,
+  logInfo
+} = require('../../LoggingMiddleware');
+
+const webhookService = require('../services/webhookService');
+const validationService = require('../services/validationService');
+
+
+const findOwnedWebhook = (id, req, res) => {
+  const webhook = webhookService.getWebhook(id);
+
+  if (!webhook) {
+    res.status(404).json({
+      error: 'Not Found',
+      message: 'Webhook not found'
+    });
+    return null;
+  }
+
+  if (webhook.owner !== req.owner) {
+    logAuthFailure('Webhook owned by another API key owner', { webhookId: id, owner: req.owner });
+    res.status(403).json({
+      error: 'Forbidden',
+      message: 'You do not have access to this webhook'
+    });
+    return null;
+  }
+
+  return webhook;
+};
+
+
+const createWebhook = async (req, res) => {
+  try {
+    const validation = validationService.validateWebhook(req.body);
+    if (!validation.isValid) {
+      logValidationError('webhook', req.body.url, validation.error);
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: validation.error
+      });
+    }
+
+    const webhook = webhookService.createWebhook({ owner: req.owner, ...validation.value });
+
+    logWebhookCreated(webhook.id, req.owner, webhook.events, { url: webhook.url });
+
+    res.status(201).json(webhook);
+
+  } catch (error) {
+    logError('Error creating webhook', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to create webhook'
+    });
+  }
+};
+
+
+const listWebhooks = async (req, res) => {
+  try {
+    res.status(200).json({
+      items: webhookService.listWebhooks(req.owner)
+    });
+
+  } catch (error) {
+    logError('Error listing webhooks', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to list webhooks'
+    });
+  }
+};
+
+
+const getWebhook = async (req, res) => {
+  try {
+    const webhook = findOwnedWebhook(req.params.id, req, res);
+    if (!webhook) return;
+
+    res.status(200).json(webhook);
+
+  } catch (error) {
+    logError('Error retrieving webhook', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve webhook'
+    });
+  }
+};
+
+
+const deleteWebhook = async (req, res) => {
+  try {
+    const webhook = findOwnedWebhook(req.params.id, req, res);
+    if (!webhook) return;
+
+    webhookService.deleteWebhook(webhook.id);
+
+    logWebhookDeleted(webhook.id, req.owner);
+
+    res.status(204).end();
+
+  } catch (error) {
+    logError('Error deleting webhook', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to delete webhook'
+    });
+  }
+};
+
+
+const sendTestDelivery = async (req, res) => {
+  try {
+    const webhook = findOwnedWebhook(req.params.id, req, res);
+    if (!webhook) return;
+
+    logInfo('Webhook test delivery requested', { webhookId: webhook.id });
+
+    const delivery = webhookService.sendTestEvent(webhook.id);
+
+    res.status(202).json(delivery);
+
+  } catch (error) {
+    logError('Error sending webhook test delivery', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to send test delivery'
+    });
+  }
+};
+
+
+const listDeliveries = async (req, res) => {
+  try {
+    const webhook = findOwnedWebhook(req.params.id, req, res);
+    if (!webhook) return;
+
+    const queryValidation = validationService.validateDeliveriesQuery(req.query);
+    if (!queryValidation.isValid) {
+      logValidationError('query', req.query, queryValidation.error);
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: queryValidation.error
+      });
+    }
+
+    res.status(200).json({
+      items: webhookService.listDeliveries(webhook.id, queryValidation.value)
+    });
+
+  } catch (error) {
+    logError('Error listing webhook deliveries', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to list webhook deliveries'
+    });
+  }
+};
+
+module.exports = {
+  createWebhook,
+  listWebhooks,
+  getWebhook,
+  deleteWebhook,
+  sendTestDelivery,
+  listDeliveries
+};
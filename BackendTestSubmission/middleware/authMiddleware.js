@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+
+const { logAuthFailure } = require('../../LoggingMiddleware');
+
+const config = require('../config');
+const apiKeyService = require('../services/apiKeyService');
+
+const readApiKey = (req) => {
+  const headerKey = req.get('X-API-Key');
+  if (headerKey) {
+    return headerKey.trim();
+  }
+
+  const authorization = req.get('Authorization') || '';
+  const [scheme, token] = authorization.split(' ');
+  return scheme === 'Bearer' && token ? token.trim() : null;
+};
+
+const requireApiKey = (req, res, next) => {
+  const key = readApiKey(req);
+
+  if (!key) {
+    logAuthFailure('API key missing', { url: req.originalUrl, method: req.method, ip: req.ip });
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'An API key is required. Send it in the X-API-Key header.'
+    });
+  }
+
+  const apiKey = apiKeyService.findActiveApiKey(key);
+  if (!apiKey) {
+    logAuthFailure('API key invalid or revoked', { url: req.originalUrl, method: req.method, ip: req.ip });
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'API key is invalid or has been revoked'
+    });
+  }
+
+  req.apiKey = apiKey;
+  req.owner = apiKey.owner;
+  next();
+};
+
+const requireAdminToken = (req, res, next) => {
+  const { adminToken } = config.auth;
+
+  if (!adminToken) {
+    return res.status(503).json({
+      error: 'Service Unavailable',
+      message: 'The admin API is disabled because ADMIN_TOKEN is not configured'
+    });
+  }
+
+  const provided = Buffer.from(req.get('X-Admin-Token') || '');
+  const expected = Buffer.from(adminToken);
+
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    logAuthFailure('Admin token invalid', { url: req.originalUrl, method: req.method, ip: req.ip });
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'A valid admin token is required'
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  requireApiKey,
+  requireAdminToken
+};
@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/adminController');
+const { requireAdminToken } = require('../middleware/authMiddleware');
+
+
+router.use(requireAdminToken);
+
+router.post('/apikeys', adminController.createApiKey);
+
+router.get('/apikeys', adminController.listApiKeys);
+
+router.delete('/apikeys/:id', adminController.revokeApiKey);
+
+module.exports = router;
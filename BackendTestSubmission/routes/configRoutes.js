@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const configController = require('../controllers/configController');
+
+
+// Public, so the frontend can validate input the way the server will.
+router.get('/validation', configController.getValidationConfig);
+
+module.exports = router;
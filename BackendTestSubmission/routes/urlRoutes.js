@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const urlController = require('../controllers/urlController');
+const { requireApiKey } = require('../middleware/authMiddleware');
 
 
 router.get('/', (req, res) => {
@@ -9,18 +10,66 @@ router.get('/', (req, res) => {
     version: '1.0.0',
     endpoints: {
       'POST /shorturls': 'Create a short URL',
+      'POST /shorturls/batch': 'Create several short URLs in one request',
+      'GET /shorturls': 'List short URLs with pagination, sorting and filters',
       'GET /shorturls/:shortcode': 'Get URL statistics',
-      'GET /:shortcode': 'Redirect to original URL',
+      'GET /shorturls/:shortcode/analytics': 'Get bucketed click counts and top referrers, countries, browsers and OS',
+      'GET /shorturls/:shortcode/clicks': 'Page through the raw clicks of a short URL',
+      'GET /shorturls/:shortcode/qr': 'Get a QR code for the short link as PNG or SVG',
+      'POST /shorturls/:shortcode/conversions': 'Record a conversion for an A/B test variant',
+      'PATCH /shorturls/:shortcode': 'Change the destination or expiry of a short URL',
+      'DELETE /shorturls/:shortcode': 'Deactivate a short URL',
+      'GET /domains': 'List the domains short links can be created under (public)',
+      'GET /config/validation': 'Get the input limits for URLs, shortcodes, validity and click limits, the shortcode rules and the batch size (public)',
+      'GET /:shortcode': 'Redirect to original URL (public)',
+      'POST /:shortcode': 'Unlock a password-protected short URL (public)',
+      'GET /:shortcode+': 'Show the preview page with the destination instead of redirecting (public)',
+      'GET /:shortcode/*': 'Redirect with the rest of the path appended, for links with path passthrough (public)',
+      'POST /admin/apikeys': 'Issue an API key (requires X-Admin-Token)',
+      'GET /admin/apikeys': 'List API keys (requires X-Admin-Token)',
+      'DELETE /admin/apikeys/:id': 'Revoke an API key (requires X-Admin-Token)',
+      'POST /webhooks': 'Register a webhook for link events',
+      'GET /webhooks': 'List your webhooks',
+      'GET /webhooks/:id': 'Get a webhook',
+      'DELETE /webhooks/:id': 'Remove a webhook',
+      'POST /webhooks/:id/test': 'Send a test delivery to a webhook',
+      'GET /webhooks/:id/deliveries': 'List recent deliveries and their attempts',
       'GET /health': 'Health check'
     }
   });
 });
 
+// Everything under /shorturls needs an API key; the redirect below stays public.
+router.use('/shorturls', requireApiKey);
 
 router.post('/shorturls', urlController.createShortUrl);
 
+router.post('/shorturls/batch', urlController.createShortUrlBatch);
+
+router.get('/shorturls', urlController.listShortUrls);
+
 router.get('/shorturls/:shortcode', urlController.getUrlStats);
 
+router.get('/shorturls/:shortcode/analytics', urlController.getUrlAnalytics);
+
+router.get('/shorturls/:shortcode/clicks', urlController.getUrlClicks);
+
+router.get('/shorturls/:shortcode/qr', urlController.getUrlQrCode);
+
+router.post('/shorturls/:shortcode/conversions', urlController.recordConversion);
+
+router.patch('/shorturls/:shortcode', urlController.updateShortUrl);
+
+router.delete('/shorturls/:shortcode', urlController.deleteShortUrl);
+
+router.get('/domains', urlController.listDomains);
+
 router.get('/:shortcode', urlController.redirectToUrl);
 
+router.post('/:shortcode', urlController.redirectToUrl);
+
+router.get('/:shortcode/*', urlController.redirectToUrl);
+
+router.post('/:shortcode/*', urlController.redirectToUrl);
+
 module.exports = router;
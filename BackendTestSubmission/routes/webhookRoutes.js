@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const webhookController = require('../controllers/webhookController');
+const { requireApiKey } = require('../middleware/authMiddleware');
+
+
+router.use(requireApiKey);
+
+router.post('/', webhookController.createWebhook);
+
+router.get('/', webhookController.listWebhooks);
+
+router.get('/:id', webhookController.getWebhook);
+
+router.delete('/:id', webhookController.deleteWebhook);
+
+router.post('/:id/test', webhookController.sendTestDelivery);
+
+router.get('/:id/deliveries', webhookController.listDeliveries);
+
+module.exports = router;
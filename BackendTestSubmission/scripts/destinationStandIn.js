@@ -0,0 +1,66 @@
+/**
+ * Stand-in destination server for trying out the link health monitor
+ * locally. Every path answers with a fixed behaviour:
+ *
+ *   /ok              200
+ *   /status/{code}   the given status code, e.g. /status/404
+ *   /slow/{ms}       200 after the given delay
+ *   /no-head[/code]  405 (or the given code, e.g. /no-head/501) to HEAD, 200 to GET
+ *   /flaky           alternates between 200 and 503
+ *
+ *   STAND_IN_PORT=4100 npm run destination-stand-in
+ *
+ * Destinations on localhost are private addresses, so start the backend with
+ * ALLOW_PRIVATE_DESTINATIONS=true to link to them. The tests import
+ * `createStandIn` and run it on an ephemeral port instead.
+ */
+const http = require('http');
+
+/**
+ * Returns the request handler and the list of requests it has answered.
+ */
+const createStandIn = ({ log = console.log } = {}) => {
+  let flakyCalls = 0;
+  const requests = [];
+
+  const respond = (req, res, statusCode) => {
+    log(`${req.method} ${req.url} -> ${statusCode}`);
+    requests.push({ method: req.method, url: req.url, statusCode });
+    res.writeHead(statusCode, { 'Content-Type': 'text/plain' });
+    res.end(req.method === 'HEAD' ? undefined : `${statusCode}\n`);
+  };
+
+  const handleRequest = (req, res) => {
+    const [, route, param] = new URL(req.url, 'http://localhost').pathname.split('/');
+
+    switch (route) {
+      case 'ok':
+        return respond(req, res, 200);
+      case 'status':
+        return respond(req, res, parseInt(param, 10) || 500);
+      case 'slow':
+        return setTimeout(() => respond(req, res, 200), parseInt(param, 10) || 1000);
+      case 'no-head':
+        return respond(req, res, req.method === 'HEAD' ? parseInt(param, 10) || 405 : 200);
+      case 'flaky':
+        flakyCalls += 1;
+        return respond(req, res, flakyCalls % 2 === 0 ? 503 : 200);
+      default:
+        return respond(req, res, 404);
+    }
+  };
+
+  return { handleRequest, requests };
+};
+
+if (require.main === module) {
+  const port = parseInt(process.env.STAND_IN_PORT, 10) || 4100;
+
+  http.createServer(createStandIn().handleRequest).listen(port, () => {
+    console.log(`Destination stand-in listening on http://localhost:${port}`);
+  });
+}
+
+module.exports = {
+  createStandIn
+};
@@ -0,0 +1,88 @@
+/**
+ * Stand-in webhook receiver for local testing. Verifies the signature of each
+ * delivery and prints it.
+ *
+ *   WEBHOOK_SECRET=whsec_... RECEIVER_PORT=4000 npm run webhook-receiver
+ *
+ * Set FAIL_FIRST=n to answer the first n deliveries with 500 and watch the
+ * shortener retry them. The tests import `createReceiver` and run it on an
+ * ephemeral port instead.
+ */
+const http = require('http');
+const crypto = require('crypto');
+
+const verifySignature = (secret, req, body) => {
+  const timestamp = req.headers['x-webhook-timestamp'];
+  const signature = req.headers['x-webhook-signature'] || '';
+  const expected = `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+  return signature.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+};
+
+/**
+ * Returns the request handler and the list of deliveries it has seen, each
+ * with the status code it was answered with.
+ */
+const createReceiver = ({ secret = null, failFirst = 0, log = console.log } = {}) => {
+  let failuresLeft = failFirst;
+  const deliveries = [];
+
+  const handleRequest = (req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks).toString('utf8');
+      const event = req.headers['x-webhook-event'];
+      const deliveryId = req.headers['x-webhook-delivery'];
+      const respond = (statusCode) => {
+        deliveries.push({
+          event,
+          deliveryId,
+          timestamp: req.headers['x-webhook-timestamp'],
+          signature: req.headers['x-webhook-signature'],
+          body,
+          statusCode,
+          receivedAt: Date.now()
+        });
+        res.writeHead(statusCode).end();
+      };
+
+      if (secret && !verifySignature(secret, req, body)) {
+        log(`[rejected] ${event} ${deliveryId}: signature mismatch`);
+        respond(401);
+        return;
+      }
+
+      if (failuresLeft > 0) {
+        failuresLeft -= 1;
+        log(`[failing] ${event} ${deliveryId} (${failuresLeft} more to fail)`);
+        respond(500);
+        return;
+      }
+
+      log(`[received] ${event} ${deliveryId}${secret ? ' (signature ok)' : ''}`);
+      log(JSON.stringify(JSON.parse(body), null, 2));
+      respond(204);
+    });
+  };
+
+  return { handleRequest, deliveries };
+};
+
+if (require.main === module) {
+  const port = parseInt(process.env.RECEIVER_PORT, 10) || 4000;
+  const secret = process.env.WEBHOOK_SECRET || null;
+  const receiver = createReceiver({ secret, failFirst: parseInt(process.env.FAIL_FIRST, 10) || 0 });
+
+  http.createServer(receiver.handleRequest).listen(port, () => {
+    console.log(`Webhook receiver listening on http://localhost:${port}`);
+    if (!secret) {
+      console.log('WEBHOOK_SECRET is not set, signatures will not be verified');
+    }
+  });
+}
+
+module.exports = {
+  createReceiver
+};
@@ -2,6 +2,7 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
+const cookieParser = require('cookie-parser');
 const path = require('path');
 
 const {
@@ -11,10 +12,19 @@ const {
   logWarn
 } = require('../LoggingMiddleware');
 
+const config = require('./config');
+const adminRoutes = require('./routes/adminRoutes');
+const configRoutes = require('./routes/configRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
 const urlRoutes = require('./routes/urlRoutes');
+const { closeAllStorage } = require('./services/storage');
+const { startExpirySweeper, stopExpirySweeper } = require('./services/expirySweeper');
+const { resumePendingDeliveries, stopWebhookDeliveries } = require('./services/webhookService');
+const { startWatchingLists, stopWatchingLists } = require('./services/destinationPolicyService');
+const { startHealthMonitor, stopHealthMonitor } = require('./services/healthMonitor');
 
 const app = express();
-const PORT = process.env.PORT || 3100;
+const PORT = config.port;
 
 app.set('trust proxy', process.env.NODE_ENV === 'production' ? 1 : false);
 
@@ -40,6 +50,7 @@ app.use(cors({
 
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+app.use(cookieParser());
 
 app.use(expressMiddleware);
 
@@ -52,6 +63,9 @@ app.get('/health', (req, res) => {
   });
 });
 
+app.use('/admin', adminRoutes);
+app.use('/config', configRoutes);
+app.use('/webhooks', webhookRoutes);
 app.use('/', urlRoutes);
 
 app.use('*', (req, res) => {
@@ -75,9 +89,34 @@ app.use((err, req, res, next) => {
   });
 });
 
-app.listen(PORT, () => {
-  logInfo(`Backend started on port ${PORT}`);
-  console.log(`Server running on http://localhost:${PORT}`);
-});
+// Tests require the app without starting the server and background jobs.
+const start = () => {
+  const server = app.listen(PORT, () => {
+    logInfo(`Backend started on port ${PORT}`, { storageDriver: config.storage.driver });
+    console.log(`Server running on http://localhost:${PORT}`);
+    startExpirySweeper();
+    startWatchingLists();
+    startHealthMonitor();
+    resumePendingDeliveries();
+  });
+
+  const shutdown = (signal) => {
+    logInfo(`${signal} received, shutting down`);
+    stopExpirySweeper();
+    stopWatchingLists();
+    stopHealthMonitor();
+    stopWebhookDeliveries();
+    server.close(() => {
+      closeAllStorage().then(() => process.exit(0));
+    });
+  };
+
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+};
+
+if (require.main === module) {
+  start();
+}
 
 module.exports = app;
@@ -0,0 +1,107 @@
+const INTERVAL_MS = {
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000
+};
+
+const TOP_LIMIT = 10;
+
+const referrerDomain = (referrer) => {
+  if (!referrer || referrer === 'Direct') return 'Direct';
+  try {
+    return new URL(referrer).hostname;
+  } catch (error) {
+    return referrer;
+  }
+};
+
+// Clicks recorded before country, browser and os were stored separately only
+// carry the combined location and user agent strings, so derive them here.
+const countryOf = (click) => {
+  if (click.country) return click.country;
+  const parts = (click.location || '').split(', ');
+  return parts.length > 1 ? parts[parts.length - 1] : 'Unknown';
+};
+
+const browserOf = (click) => {
+  if (click.browser) return click.browser;
+  return (click.userAgent || 'Unknown').replace(/\s+[\d.]+$/, '');
+};
+
+const osOf = (click) => click.os || 'Unknown';
+
+const topValues = (clicks, valueOf) => {
+  const counts = new Map();
+  clicks.forEach(click => {
+    const value = valueOf(click);
+    counts.set(value, (counts.get(value) || 0) + 1);
+  });
+
+  return Array.from(counts.entries())
+    .sort(([, a], [, b]) => b - a)
+    .slice(0, TOP_LIMIT)
+    .map(([value, count]) => ({ value, count }));
+};
+
+const countBuckets = (from, to, interval) => {
+  const size = INTERVAL_MS[interval];
+  return Math.ceil((to.getTime() - Math.floor(from.getTime() / size) * size) / size);
+};
+
+/**
+ * Aggregates the clicks that fall within [from, to) into fixed-size time
+ * buckets (empty buckets included) plus top referrers, countries, browsers
+ * and operating systems.
+ */
+const aggregateClicks = (clicks, { from, to, interval }) => {
+  const size = INTERVAL_MS[interval];
+  const firstBucket = Math.floor(from.getTime() / size) * size;
+  const counts = new Array(countBuckets(from, to, interval)).fill(0);
+
+  const inRange = clicks.filter(click => {
+    const time = new Date(click.timestamp).getTime();
+    return time >= from.getTime() && time < to.getTime();
+  });
+
+  inRange.forEach(click => {
+    const index = Math.floor((new Date(click.timestamp).getTime() - firstBucket) / size);
+    counts[index] += 1;
+  });
+
+  return {
+    from: from.toISOString(),
+    to: to.toISOString(),
+    interval,
+    totalClicks: inRange.length,
+    buckets: counts.map((count, index) => ({
+      start: new Date(firstBucket + index * size).toISOString(),
+      count
+    })),
+    topReferrers: topValues(inRange, click => referrerDomain(click.referrer)),
+    topCountries: topValues(inRange, countryOf),
+    topBrowsers: topValues(inRange, browserOf),
+    topOperatingSystems: topValues(inRange, osOf)
+  };
+};
+
+/**
+ * Pages through the raw clicks, newest first. Clicks are only ever appended,
+ * so the cursor is the position of the oldest click already returned and
+ * stays valid while new clicks arrive.
+ */
+const paginateClicks = (clicks, { before, limit }) => {
+  const end = before === null ? clicks.length : Math.min(before, clicks.length);
+  const start = Math.max(end - limit, 0);
+
+  return {
+    items: clicks.slice(start, end).reverse(),
+    nextCursor: start > 0 ? String(start) : null
+  };
+};
+
+module.exports = {
+  INTERVAL_MS,
+  countBuckets,
+  aggregateClicks,
+  paginateClicks
+};
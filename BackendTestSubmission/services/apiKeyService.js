@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+const { nanoid } = require('nanoid');
+
+const { getStorage } = require('./storage');
+
+const apiKeyStorage = getStorage('apiKeys');
+
+const hashKey = (key) => {
+  return crypto.createHash('sha256').update(key).digest('hex');
+};
+
+const toPublicRecord = ({ keyHash, ...record }) => record;
+
+/**
+ * Issues a new API key for `owner`. Only a hash of the key is stored, so the
+ * plain key is returned to the caller exactly once.
+ */
+const createApiKey = (owner) => {
+  const key = `usk_${crypto.randomBytes(24).toString('base64url')}`;
+  const record = {
+    id: nanoid(12),
+    owner,
+    prefix: key.slice(0, 8),
+    keyHash: hashKey(key),
+    createdAt: new Date().toISOString(),
+    revokedAt: null
+  };
+
+  apiKeyStorage.set(record.id, record);
+
+  return {
+    key,
+    apiKey: toPublicRecord(record)
+  };
+};
+
+const findActiveApiKey = (key) => {
+  const keyHash = hashKey(key);
+  const record = apiKeyStorage.values().find(candidate => candidate.keyHash === keyHash);
+
+  if (!record || record.revokedAt) {
+    return null;
+  }
+  return toPublicRecord(record);
+};
+
+const listApiKeys = () => {
+  return apiKeyStorage.values().map(toPublicRecord);
+};
+
+const revokeApiKey = (id) => {
+  const record = apiKeyStorage.get(id);
+  if (!record) {
+    return null;
+  }
+
+  if (!record.revokedAt) {
+    record.revokedAt = new Date().toISOString();
+    apiKeyStorage.set(id, record);
+  }
+  return toPublicRecord(record);
+};
+
+module.exports = {
+  createApiKey,
+  findActiveApiKey,
+  listApiKeys,
+  revokeApiKey
+};
@@ -0,0 +1,227 @@
+const fs = require('fs');
+const net = require('net');
+
+const {
+  logInfo,
+  logError,
+  logUrlBlocked,
+  logUrlUnblocked,
+  logDestinationRecheck
+} = require('../../LoggingMiddleware');
+
+const config = require('../config');
+const urlService = require('./urlService');
+
+// Destinations inside these ranges would let a short link point visitors (or
+// anything that follows redirects server-side) at internal services. Besides
+// private networks this covers benchmarking, protocol-assignment, multicast
+// and reserved space, none of which is a public website. IPv4-mapped IPv6
+// addresses (`::ffff:127.0.0.1`) are checked against the IPv4 ranges.
+const privateRanges = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([network, prefix]) => privateRanges.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([network, prefix]) => privateRanges.addSubnet(network, prefix, 'ipv6'));
+
+let lists = { blocklist: [], allowlist: [] };
+let watching = false;
+
+const normalizeDomain = (domain) => {
+  return String(domain).trim().toLowerCase().replace(/^\*?\./, '').replace(/\.$/, '');
+};
+
+const matchesDomain = (hostname, domains) => {
+  return domains.some(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+};
+
+const isPrivateHost = (hostname) => {
+  if (hostname === 'localhost' || hostname.endsWith('.localhost')) {
+    return true;
+  }
+
+  const address = hostname.replace(/^\[|\]$/g, '');
+  const family = net.isIP(address);
+  if (family === 0) {
+    return false;
+  }
+  return privateRanges.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * Whether server-side requests to link destinations, such as health checks,
+ * may connect to `address`. They check resolved addresses as well, since a
+ * public hostname can resolve to an internal one.
+ */
+const isAllowedAddress = (address) => {
+  return config.destinations.allowPrivateNetworks || !isPrivateHost(address);
+};
+
+/**
+ * Reads the block/allow lists from disk. A missing file means both lists are
+ * empty; a file that cannot be parsed leaves the current lists in place so a
+ * half-saved edit never lifts every block.
+ */
+const loadLists = () => {
+  const { listsFile } = config.destinations;
+
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(listsFile, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      lists = { blocklist: [], allowlist: [] };
+      return lists;
+    }
+    logError('Failed to load destination lists, keeping the previous ones', error, { listsFile });
+    return lists;
+  }
+
+  lists = {
+    blocklist: (Array.isArray(parsed.blocklist) ? parsed.blocklist : []).map(normalizeDomain).filter(Boolean),
+    allowlist: (Array.isArray(parsed.allowlist) ? parsed.allowlist : []).map(normalizeDomain).filter(Boolean)
+  };
+  logInfo('Destination lists loaded', {
+    listsFile,
+    blocklistSize: lists.blocklist.length,
+    allowlistSize: lists.allowlist.length
+  });
+  return lists;
+};
+
+/**
+ * Decides whether a short link may point at `url`. The allowlist, when it is
+ * not empty, restricts destinations to the listed domains and their
+ * subdomains; the blocklist always wins over it.
+ */
+const checkDestination = (url) => {
+  const hostname = new URL(url).hostname.toLowerCase();
+
+  if (!config.destinations.allowPrivateNetworks && isPrivateHost(hostname)) {
+    return {
+      isAllowed: false,
+      reason: 'PRIVATE_ADDRESS',
+      message: 'URL must not point to a private, loopback, link-local or reserved address'
+    };
+  }
+
+  if (matchesDomain(hostname, lists.blocklist)) {
+    return {
+      isAllowed: false,
+      reason: 'BLOCKLISTED',
+      message: 'URL points to a blocked domain'
+    };
+  }
+
+  if (lists.allowlist.length > 0 && !matchesDomain(hostname, lists.allowlist)) {
+    return {
+      isAllowed: false,
+      reason: 'NOT_ALLOWLISTED',
+      message: 'URL domain is not on the list of allowed destinations'
+    };
+  }
+
+  return {
+    isAllowed: true,
+    reason: null,
+    message: null
+  };
+};
+
+const destinationsOf = (urlEntry) => [
+  urlEntry.originalUrl,
+  ...(urlEntry.rules || []).map(rule => rule.url),
+  ...(urlEntry.variants || []).map(variant => variant.url)
+];
+
+/**
+ * Re-checks every destination of a link against the current policy, blocking
+ * the link when one fails and lifting an earlier block once all pass again.
+ * Returns the updated entry, or the entry itself when nothing changed.
+ */
+const recheckLink = (urlEntry) => {
+  const failure = destinationsOf(urlEntry)
+    .map(destination => ({ destination, ...checkDestination(destination) }))
+    .find(result => !result.isAllowed);
+
+  if (failure && !urlEntry.blockedAt) {
+    logUrlBlocked(urlEntry.shortcode, failure.destination, failure.reason);
+    return urlService.updateUrl(urlEntry.shortcode, {
+      blockedAt: new Date().toISOString(),
+      blockedReason: failure.reason
+    });
+  }
+
+  if (!failure && urlEntry.blockedAt) {
+    logUrlUnblocked(urlEntry.shortcode, { previousReason: urlEntry.blockedReason });
+    return urlService.updateUrl(urlEntry.shortcode, { blockedAt: null, blockedReason: null });
+  }
+
+  return urlEntry;
+};
+
+const recheckAllLinks = () => {
+  const changed = urlService.getAllUrls()
+    .filter(urlEntry => !urlEntry.deactivatedAt)
+    .filter(urlEntry => recheckLink(urlEntry) !== urlEntry);
+
+  logDestinationRecheck(changed.length, {
+    changedShortcodes: changed.map(urlEntry => urlEntry.shortcode)
+  });
+  return changed;
+};
+
+const reloadLists = () => {
+  loadLists();
+  return recheckAllLinks();
+};
+
+/**
+ * Re-checks stored links against the lists loaded at startup and polls the
+ * file for changes. Polling rather than fs.watch keeps working when editors
+ * replace the file instead of writing to it in place.
+ */
+const startWatchingLists = () => {
+  if (watching) return;
+
+  recheckAllLinks();
+  fs.watchFile(config.destinations.listsFile, { interval: config.destinations.pollIntervalMs, persistent: false }, (current, previous) => {
+    if (current.mtimeMs !== previous.mtimeMs) {
+      reloadLists();
+    }
+  });
+  watching = true;
+};
+
+const stopWatchingLists = () => {
+  if (!watching) return;
+
+  fs.unwatchFile(config.destinations.listsFile);
+  watching = false;
+};
+
+loadLists();
+
+module.exports = {
+  checkDestination,
+  isAllowedAddress,
+  recheckLink,
+  reloadLists,
+  startWatchingLists,
+  stopWatchingLists
+};
@@ -0,0 +1,80 @@
+const config = require('../config');
+
+const DEFAULT_PORTS = {
+  'http:': '80',
+  'https:': '443'
+};
+
+// Lowercases a host and drops the port when it is the protocol's default, so
+// "Go.Example.com:443" and "go.example.com" name the same domain.
+const normalizeHost = (host, protocol = null) => {
+  const lowered = String(host || '').trim().toLowerCase();
+  const match = lowered.match(/^(.*?)(?::(\d+))?$/);
+  const [, hostname, port] = match;
+
+  if (!port || (protocol ? DEFAULT_PORTS[protocol] === port : Object.values(DEFAULT_PORTS).includes(port))) {
+    return hostname;
+  }
+  return `${hostname}:${port}`;
+};
+
+const parseDomain = (value, isDefault) => {
+  const withProtocol = /^https?:\/\//i.test(value) ? value : `https://${value}`;
+  const url = new URL(withProtocol);
+
+  return {
+    domain: normalizeHost(url.host, url.protocol),
+    baseUrl: `${url.protocol}//${url.host}${url.pathname.replace(/\/+$/, '')}`,
+    isDefault
+  };
+};
+
+/**
+ * Domains short links can be created under. The first entry comes from
+ * PUBLIC_BASE_URL and is used whenever a link does not name a domain;
+ * CUSTOM_DOMAINS adds the others.
+ */
+const domains = [
+  parseDomain(config.links.baseUrl, true),
+  ...config.links.customDomains.map(value => parseDomain(value, false))
+].filter((entry, index, all) => all.findIndex(other => other.domain === entry.domain) === index);
+
+const defaultDomain = domains[0];
+
+const listDomains = () => domains;
+
+const getDefaultDomain = () => defaultDomain.domain;
+
+const findDomain = (domain) => {
+  const normalized = normalizeHost(domain);
+  return domains.find(entry => entry.domain === normalized) || null;
+};
+
+// Links created before custom domains existed have no domain and belong to
+// the default one.
+const domainOf = (urlEntry) => urlEntry.domain || defaultDomain.domain;
+
+const buildShortLink = (urlEntry) => {
+  const { baseUrl } = findDomain(domainOf(urlEntry)) || defaultDomain;
+  return `${baseUrl}/${urlEntry.shortcode}`;
+};
+
+/**
+ * A request on a custom domain only reaches that domain's links. Any other
+ * Host serves the default domain: besides PUBLIC_BASE_URL's host that covers
+ * 127.0.0.1, other names of the same machine and proxies rewriting Host.
+ */
+const isServedOnHost = (urlEntry, host) => {
+  const hostDomain = findDomain(host);
+  const servedDomain = hostDomain && !hostDomain.isDefault ? hostDomain.domain : defaultDomain.domain;
+  return domainOf(urlEntry) === servedDomain;
+};
+
+module.exports = {
+  listDomains,
+  getDefaultDomain,
+  findDomain,
+  domainOf,
+  buildShortLink,
+  isServedOnHost
+};
@@ -0,0 +1,62 @@
+const {
+  logExpirySweep,
+  logError
+} = require('../../LoggingMiddleware');
+
+const config = require('../config');
+const urlService = require('./urlService');
+const webhookService = require('./webhookService');
+
+let sweepTimer = null;
+
+const runSweep = () => {
+  const startedAt = Date.now();
+
+  try {
+    const { archived, purged } = urlService.cleanupExpiredUrls(config.expiry.archiveGraceMs);
+
+    logExpirySweep(archived.length, purged.length, {
+      archivedShortcodes: archived.map(urlEntry => urlEntry.shortcode),
+      duration: `${Date.now() - startedAt}ms`
+    });
+
+    archived
+      // Deleted and click-limited links already announced why they stopped working.
+      .filter(urlEntry => !urlEntry.deactivatedAt && !urlService.hasReachedClickLimit(urlEntry))
+      .forEach(urlEntry => {
+        webhookService.dispatchEvent('url.expired', urlEntry.owner, {
+          shortcode: urlEntry.shortcode,
+          originalUrl: urlEntry.originalUrl,
+          reason: 'validity',
+          expiresAt: urlEntry.expiresAt,
+          archivedAt: urlEntry.archivedAt,
+          totalClicks: urlEntry.clicks.length
+        });
+      });
+
+    return { archived, purged };
+  } catch (error) {
+    logError('Expiry sweep failed', error);
+    return { archived: [], purged: [] };
+  }
+};
+
+const startExpirySweeper = () => {
+  if (sweepTimer) return;
+
+  sweepTimer = setInterval(runSweep, config.expiry.sweepIntervalMs);
+  sweepTimer.unref();
+};
+
+const stopExpirySweeper = () => {
+  if (!sweepTimer) return;
+
+  clearInterval(sweepTimer);
+  sweepTimer = null;
+};
+
+module.exports = {
+  runSweep,
+  startExpirySweeper,
+  stopExpirySweeper
+};
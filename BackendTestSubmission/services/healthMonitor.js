@@ -0,0 +1,159 @@
+const {
+  logHealthCheckRun,
+  logUrlHealthChanged,
+  logError
+} = require('../../LoggingMiddleware');
+
+const config = require('../config');
+const urlService = require('./urlService');
+const httpClient = require('./httpClient');
+const destinationPolicyService = require('./destinationPolicyService');
+
+const USER_AGENT = 'URLShortener-LinkChecker/1.0';
+
+let checkTimer = null;
+let running = false;
+
+const isHealthyStatus = (statusCode) => statusCode >= 200 && statusCode < 400;
+
+/**
+ * Probes a destination with HEAD, falling back to GET for servers that do not
+ * implement HEAD. Redirects are not followed; a 3xx answer counts as healthy.
+ * Destinations that resolve to a private address are not contacted.
+ */
+const probe = async (url) => {
+  const options = {
+    headers: { 'User-Agent': USER_AGENT },
+    timeoutMs: config.health.timeoutMs,
+    allowAddress: destinationPolicyService.isAllowedAddress
+  };
+
+  try {
+    let response = await httpClient.request(url, { ...options, method: 'HEAD' });
+    if ([405, 501].includes(response.statusCode)) {
+      response = await httpClient.request(url, { ...options, method: 'GET', waitForBody: false });
+    }
+    return {
+      ok: isHealthyStatus(response.statusCode),
+      statusCode: response.statusCode,
+      latencyMs: response.durationMs,
+      error: null
+    };
+  } catch (error) {
+    return {
+      ok: false,
+      statusCode: null,
+      latencyMs: null,
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Folds a probe result into a link's health record. A link is `degraded`
+ * after a failed check and `broken` once the failures reach the configured
+ * streak, so a single hiccup does not flag it.
+ */
+const nextHealth = (previous, result, checkedAt) => {
+  const consecutiveFailures = result.ok ? 0 : (previous?.consecutiveFailures || 0) + 1;
+  let status = 'healthy';
+  if (consecutiveFailures >= config.health.brokenAfterFailures) {
+    status = 'broken';
+  } else if (consecutiveFailures > 0) {
+    status = 'degraded';
+  }
+
+  const check = { checkedAt, ok: result.ok, statusCode: result.statusCode, latencyMs: result.latencyMs, error: result.error };
+
+  return {
+    status,
+    lastCheckedAt: checkedAt,
+    statusCode: result.statusCode,
+    latencyMs: result.latencyMs,
+    error: result.error,
+    consecutiveFailures,
+    history: [check, ...(previous?.history || [])].slice(0, config.health.historySize)
+  };
+};
+
+const checkLink = async (urlEntry) => {
+  const result = await probe(urlEntry.originalUrl);
+
+  // The destination may have been edited while the probe was in flight.
+  const current = urlService.getUrl(urlEntry.shortcode);
+  if (!current || current.originalUrl !== urlEntry.originalUrl) {
+    return null;
+  }
+
+  const previous = current.health || null;
+  const health = nextHealth(previous, result, new Date().toISOString());
+
+  // A link's first healthy check is not worth a log line.
+  if (health.status !== (previous?.status || 'unknown') && (previous || health.status !== 'healthy')) {
+    logUrlHealthChanged(urlEntry.shortcode, previous?.status || 'unknown', health.status, {
+      originalUrl: urlEntry.originalUrl,
+      statusCode: health.statusCode,
+      error: health.error
+    });
+  }
+
+  urlService.recordHealthCheck(urlEntry.shortcode, health);
+  return health;
+};
+
+/**
+ * Checks every active link, a few at a time. Runs that would overlap a run
+ * still in progress are skipped.
+ */
+const runHealthCheck = async () => {
+  if (running) return null;
+  running = true;
+  const startedAt = Date.now();
+
+  try {
+    const now = new Date();
+    const links = urlService.getAllUrls().filter(urlEntry => urlService.getUrlStatus(urlEntry, now) === 'active');
+    const results = [];
+
+    for (let i = 0; i < links.length; i += config.health.concurrency) {
+      const batch = links.slice(i, i + config.health.concurrency);
+      results.push(...await Promise.all(batch.map(checkLink)));
+    }
+
+    const checked = results.filter(Boolean);
+    const summary = {
+      checked: checked.length,
+      healthy: checked.filter(health => health.status === 'healthy').length,
+      degraded: checked.filter(health => health.status === 'degraded').length,
+      broken: checked.filter(health => health.status === 'broken').length
+    };
+    logHealthCheckRun(summary, { duration: `${Date.now() - startedAt}ms` });
+    return summary;
+  } catch (error) {
+    logError('Link health check failed', error);
+    return null;
+  } finally {
+    running = false;
+  }
+};
+
+const startHealthMonitor = () => {
+  if (checkTimer || !config.health.enabled) return;
+
+  checkTimer = setInterval(runHealthCheck, config.health.checkIntervalMs);
+  checkTimer.unref();
+};
+
+const stopHealthMonitor = () => {
+  if (!checkTimer) return;
+
+  clearInterval(checkTimer);
+  checkTimer = null;
+};
+
+module.exports = {
+  checkLink,
+  runHealthCheck,
+  startHealthMonitor,
+  stopHealthMonitor
+};
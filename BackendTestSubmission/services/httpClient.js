@@ -0,0 +1,82 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+// Resolves like `dns.lookup`, but fails when any address the name resolves to
+// is refused, so the connection can only go to addresses that were checked.
+const guardedLookup = (allowAddress) => (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      callback(error);
+      return;
+    }
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const refused = addresses.find(entry => !allowAddress(entry.address));
+    if (refused) {
+      callback(new Error(`${hostname} resolves to ${refused.address}, which is not allowed`));
+      return;
+    }
+    callback(null, address, family);
+  });
+};
+
+/**
+ * Sends a single HTTP request and resolves with the status code, headers and
+ * elapsed time. The response body is drained but not kept; with
+ * `waitForBody: false` the connection is dropped as soon as the headers
+ * arrive. Rejects on network errors and when no response arrives within
+ * `timeoutMs`. With `allowAddress`, the request is refused unless the
+ * address it would connect to passes that check.
+ */
+const request = (url, { method = 'GET', headers = {}, body = null, timeoutMs = 5000, waitForBody = true, allowAddress = null } = {}) => {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const transport = target.protocol === 'https:' ? https : http;
+    const startedAt = Date.now();
+
+    // Literal addresses are connected to directly, without a lookup.
+    const literalAddress = target.hostname.replace(/^\[|\]$/g, '');
+    if (allowAddress && net.isIP(literalAddress) && !allowAddress(literalAddress)) {
+      reject(new Error(`${literalAddress} is not allowed`));
+      return;
+    }
+
+    const options = { method, headers, ...(allowAddress && { lookup: guardedLookup(allowAddress) }) };
+    const req = transport.request(target, options, (res) => {
+      if (!waitForBody) {
+        res.destroy();
+        resolve({
+          statusCode: res.statusCode,
+          headers: res.headers,
+          durationMs: Date.now() - startedAt
+        });
+        return;
+      }
+
+      res.resume();
+      res.on('end', () => {
+        resolve({
+          statusCode: res.statusCode,
+          headers: res.headers,
+          durationMs: Date.now() - startedAt
+        });
+      });
+    });
+
+    req.setTimeout(timeoutMs, () => {
+      req.destroy(new Error(`Request timed out after ${timeoutMs}ms`));
+    });
+    req.on('error', reject);
+
+    if (body) {
+      req.write(body);
+    }
+    req.end();
+  });
+};
+
+module.exports = {
+  request
+};
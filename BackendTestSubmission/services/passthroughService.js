@@ -0,0 +1,65 @@
+/**
+ * How a query parameter that appears on both the short link and the
+ * destination is resolved: `destination` keeps the destination's value,
+ * `request` replaces it with the one from the short link and `both` keeps
+ * the two side by side.
+ */
+const QUERY_CONFLICT_POLICIES = ['destination', 'request', 'both'];
+
+// Escapes that can spell a dot segment: `.`, `/`, `\` and `%` itself, so
+// double-encoded forms such as `%252e%252e` are caught as well.
+const PATH_ESCAPES = /%(2e|2f|5c|25)/gi;
+
+/**
+ * Whether `path` contains a `.` or `..` segment once decoded, e.g. `..`,
+ * `%2e%2e/`, `..%2f` or `..%5c`.
+ */
+const hasDotSegment = (path) => {
+  let decoded = path;
+  for (let previous = null; decoded !== previous;) {
+    previous = decoded;
+    decoded = decoded.replace(PATH_ESCAPES, (escape, hex) => String.fromCharCode(parseInt(hex, 16)));
+  }
+
+  return decoded.split(/[/\\]/).some(segment => segment === '.' || segment === '..');
+};
+
+/**
+ * Builds the final redirect URL from `destination` and whatever the visitor
+ * appended to the short link. `query` is the raw query string of the request
+ * and `rest` the raw path after `/:shortcode/`. Parts a link has not opted
+ * into are ignored.
+ */
+const applyPassthrough = (destination, { query, rest }, passthrough) => {
+  if (!passthrough) {
+    return destination;
+  }
+
+  const target = new URL(destination);
+
+  if (passthrough.path && rest) {
+    target.pathname = `${target.pathname.replace(/\/+$/, '')}/${rest}`;
+  }
+
+  if (passthrough.query && query) {
+    const incoming = new URLSearchParams(query);
+    const policy = passthrough.queryConflict;
+
+    for (const key of new Set(incoming.keys())) {
+      const values = incoming.getAll(key);
+      if (target.searchParams.has(key)) {
+        if (policy === 'destination') continue;
+        if (policy === 'request') target.searchParams.delete(key);
+      }
+      values.forEach(value => target.searchParams.append(key, value));
+    }
+  }
+
+  return target.toString();
+};
+
+module.exports = {
+  QUERY_CONFLICT_POLICIES,
+  hasDotSegment,
+  applyPassthrough
+};
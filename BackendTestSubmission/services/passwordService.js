@@ -0,0 +1,68 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const config = require('../config');
+
+// Runs on the libuv thread pool, so hashing does not block other requests.
+const scrypt = promisify(crypto.scrypt);
+
+const failedAttempts = new Map();
+
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = (await scrypt(password, salt, 64)).toString('hex');
+  return `scrypt:${salt}:${hash}`;
+};
+
+const verifyPassword = async (password, passwordHash) => {
+  const [, salt, hash] = passwordHash.split(':');
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+};
+
+const getAttemptWindow = (shortcode, now = Date.now()) => {
+  const window = failedAttempts.get(shortcode);
+  if (window && now - window.startedAt > config.passwords.attemptWindowMs) {
+    failedAttempts.delete(shortcode);
+    return null;
+  }
+  return window;
+};
+
+/**
+ * Returns the number of seconds until `shortcode` accepts password attempts
+ * again, or 0 when it is not locked.
+ */
+const getLockoutSeconds = (shortcode) => {
+  const now = Date.now();
+  const window = getAttemptWindow(shortcode, now);
+
+  if (!window || window.count < config.passwords.maxFailedAttempts) {
+    return 0;
+  }
+  return Math.ceil((window.startedAt + config.passwords.attemptWindowMs - now) / 1000);
+};
+
+const recordFailedAttempt = (shortcode) => {
+  const window = getAttemptWindow(shortcode) || { count: 0, startedAt: Date.now() };
+  window.count += 1;
+  failedAttempts.set(shortcode, window);
+
+  return {
+    attempts: window.count,
+    locked: window.count >= config.passwords.maxFailedAttempts
+  };
+};
+
+const clearFailedAttempts = (shortcode) => {
+  failedAttempts.delete(shortcode);
+};
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  getLockoutSeconds,
+  recordFailedAttempt,
+  clearFailedAttempts
+};
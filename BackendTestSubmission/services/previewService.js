@@ -0,0 +1,36 @@
+const crypto = require('crypto');
+
+const config = require('../config');
+
+// Without a configured secret, tokens only hold until the server restarts.
+const secret = config.previews.tokenSecret || crypto.randomBytes(32).toString('hex');
+
+const sign = (shortcode, expiresAt) => {
+  return crypto.createHmac('sha256', secret).update(`${shortcode}:${expiresAt}`).digest('base64url');
+};
+
+/**
+ * Token the preview's continue link carries, as `<expiry>.<signature>` with
+ * the expiry in seconds since the epoch. It only confirms visits to
+ * `shortcode`.
+ */
+const issueConfirmToken = (shortcode) => {
+  const expiresAt = Math.floor(Date.now() / 1000) + config.previews.tokenTtlSeconds;
+  return `${expiresAt}.${sign(shortcode, expiresAt)}`;
+};
+
+const verifyConfirmToken = (shortcode, token) => {
+  const [expiresAt, signature] = String(token || '').split('.');
+  if (!/^\d+$/.test(expiresAt) || Number(expiresAt) < Date.now() / 1000 || !signature) {
+    return false;
+  }
+
+  const expected = Buffer.from(sign(shortcode, expiresAt));
+  const actual = Buffer.from(signature);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+};
+
+module.exports = {
+  issueConfirmToken,
+  verifyConfirmToken
+};
@@ -0,0 +1,27 @@
+const QRCode = require('qrcode');
+
+const CONTENT_TYPES = {
+  png: 'image/png',
+  svg: 'image/svg+xml'
+};
+
+/**
+ * Renders `text` as a QR code. `size` is the width of the image in pixels and
+ * `margin` the quiet zone around the code in modules.
+ */
+const generateQrCode = async (text, { format, size, margin, errorCorrectionLevel }) => {
+  const options = { width: size, margin, errorCorrectionLevel };
+
+  const body = format === 'svg'
+    ? await QRCode.toString(text, { ...options, type: 'svg' })
+    : await QRCode.toBuffer(text, { ...options, type: 'png' });
+
+  return {
+    contentType: CONTENT_TYPES[format],
+    body
+  };
+};
+
+module.exports = {
+  generateQrCode
+};
@@ -0,0 +1,66 @@
+const { LIMITS } = require('shared-validation');
+
+const config = require('../config');
+
+const PERMANENT_STATUSES = [301, 308];
+
+const DEFAULT_REDIRECT = { status: LIMITS.redirect.defaultStatus, cacheMaxAge: null };
+
+/**
+ * Redirect settings of a link. Entries created before links could choose
+ * keep the original behaviour of an uncached 302.
+ */
+const redirectSettings = (urlEntry) => {
+  return { ...DEFAULT_REDIRECT, ...urlEntry.redirect };
+};
+
+const isDefaultRedirect = (urlEntry) => {
+  const { status, cacheMaxAge } = redirectSettings(urlEntry);
+  return status === DEFAULT_REDIRECT.status && cacheMaxAge === DEFAULT_REDIRECT.cacheMaxAge;
+};
+
+const isPermanent = (status) => PERMANENT_STATUSES.includes(status);
+
+/**
+ * Whether every visit has to reach the server: click limits, targeting rules,
+ * split tests and passwords are enforced there, and passthrough destinations
+ * depend on what the visitor appended.
+ */
+const requiresServerVisit = (urlEntry) => {
+  return Boolean(
+    urlEntry.maxClicks ||
+    urlEntry.rules?.length ||
+    urlEntry.variants?.length ||
+    urlEntry.passwordHash ||
+    urlEntry.passthrough
+  );
+};
+
+/**
+ * Cache-Control header for a redirect. Without an explicit `cacheMaxAge`,
+ * permanent redirects are cached for the configured default and temporary
+ * ones not at all. The lifetime never outlasts the link's own expiry, so
+ * browsers come back once the link stops working.
+ */
+const cacheControlFor = (urlEntry, now = Date.now()) => {
+  if (requiresServerVisit(urlEntry)) {
+    return 'no-store';
+  }
+
+  const { status, cacheMaxAge } = redirectSettings(urlEntry);
+  const maxAge = cacheMaxAge !== null
+    ? cacheMaxAge
+    : (isPermanent(status) ? config.redirects.permanentCacheMaxAge : 0);
+  const secondsUntilExpiry = Math.floor((new Date(urlEntry.expiresAt).getTime() - now) / 1000);
+  const effectiveMaxAge = Math.min(maxAge, secondsUntilExpiry);
+
+  return effectiveMaxAge > 0 ? `private, max-age=${effectiveMaxAge}` : 'no-store';
+};
+
+module.exports = {
+  redirectSettings,
+  isDefaultRedirect,
+  isPermanent,
+  requiresServerVisit,
+  cacheControlFor
+};
@@ -0,0 +1,30 @@
+/**
+ * Conditions a redirect rule can test, mapped to the visitor attribute they
+ * compare against. Values are compared case-insensitively and a rule matches
+ * when every condition it sets matches one of its values.
+ */
+const RULE_CONDITIONS = ['os', 'device', 'browser', 'country'];
+
+const MAX_RULES = 20;
+
+const ruleMatches = (rule, visitor) => {
+  return Object.entries(rule.when).every(([condition, values]) => {
+    const actual = String(visitor[condition] || '').toLowerCase();
+    return values.some(value => value.toLowerCase() === actual);
+  });
+};
+
+/**
+ * Returns the first rule in `rules` that matches `visitor` together with its
+ * position, or null when the link should fall back to its original URL.
+ */
+const matchRule = (rules, visitor) => {
+  const index = (rules || []).findIndex(rule => ruleMatches(rule, visitor));
+  return index === -1 ? null : { index, rule: rules[index] };
+};
+
+module.exports = {
+  RULE_CONDITIONS,
+  MAX_RULES,
+  matchRule
+};
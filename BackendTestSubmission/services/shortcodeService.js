@@ -0,0 +1,122 @@
+const { customAlphabet } = require('nanoid');
+const { LIMITS } = require('shared-validation');
+
+const config = require('../config');
+const { getStorage } = require('./storage');
+const { ADJECTIVES, NOUNS, BLOCKED_WORDS } = require('./shortcodeWords');
+
+const counterStorage = getStorage('counters');
+
+const SHORTCODE_STRATEGIES = ['random', 'sequential', 'words'];
+const { minLength: MIN_SHORTCODE_LENGTH, maxLength: MAX_SHORTCODE_LENGTH } = LIMITS.shortcode;
+
+const BASE62_ALPHABET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+const BASE36_ALPHABET = '0123456789abcdefghijklmnopqrstuvwxyz';
+const LOOKALIKE_CHARACTERS = /[0Oo1lI]/g;
+const SEQUENCE_COUNTER = 'shortcodeSequence';
+
+const DIGIT_SUBSTITUTIONS = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', 8: 'b' };
+
+// Uppercase letters add nothing to a case-insensitive namespace.
+const alphabetFor = (excludeLookalikes) => {
+  const alphabet = config.shortcodes.caseInsensitive ? BASE36_ALPHABET : BASE62_ALPHABET;
+  return excludeLookalikes ? alphabet.replace(LOOKALIKE_CHARACTERS, '') : alphabet;
+};
+
+const randomGenerators = new Map();
+
+const randomShortcode = ({ length, excludeLookalikes }) => {
+  const key = `${length}:${excludeLookalikes}`;
+  if (!randomGenerators.has(key)) {
+    randomGenerators.set(key, customAlphabet(alphabetFor(excludeLookalikes), length));
+  }
+  return randomGenerators.get(key)();
+};
+
+/**
+ * Encodes the next value of the persisted counter, left-padded to `length`.
+ * Each alphabet and length counts on its own, so exhausting one does not
+ * skip codes of another. Returns null once the counter no longer fits, since
+ * every code of that length has then been handed out.
+ */
+const sequentialShortcode = ({ length, excludeLookalikes }) => {
+  const alphabet = alphabetFor(excludeLookalikes);
+  const counterKey = `${SEQUENCE_COUNTER}:${alphabet}:${length}`;
+  let value = counterStorage.get(counterKey) || 0;
+  counterStorage.set(counterKey, value + 1);
+
+  let encoded = '';
+  do {
+    encoded = alphabet[value % alphabet.length] + encoded;
+    value = Math.floor(value / alphabet.length);
+  } while (value > 0);
+
+  return encoded.length > length ? null : encoded.padStart(length, alphabet[0]);
+};
+
+// Lowercase adjective + noun, e.g. `swiftotter`. Every word is 3-5 letters, so
+// `length` does not apply, and look-alike letters are unambiguous in words.
+const wordsShortcode = () => {
+  const pick = (words) => words[Math.floor(Math.random() * words.length)];
+  return `${pick(ADJECTIVES)}${pick(NOUNS)}`;
+};
+
+const generators = {
+  random: randomShortcode,
+  sequential: sequentialShortcode,
+  words: wordsShortcode
+};
+
+const containsBlockedWord = (shortcode) => {
+  const normalized = shortcode
+    .toLowerCase()
+    .replace(/[0-9]/g, digit => DIGIT_SUBSTITUTIONS[digit] || digit);
+  return BLOCKED_WORDS.some(word => normalized.includes(word));
+};
+
+if (!SHORTCODE_STRATEGIES.includes(config.shortcodes.strategy)) {
+  throw new Error(`Unknown shortcode strategy "${config.shortcodes.strategy}"`);
+}
+if (config.shortcodes.length < MIN_SHORTCODE_LENGTH || config.shortcodes.length > MAX_SHORTCODE_LENGTH) {
+  throw new Error(`Shortcode length must be between ${MIN_SHORTCODE_LENGTH} and ${MAX_SHORTCODE_LENGTH}`);
+}
+
+const defaultOptions = () => ({
+  strategy: config.shortcodes.strategy,
+  length: config.shortcodes.length,
+  excludeLookalikes: config.shortcodes.excludeLookalikes
+});
+
+/**
+ * Generates a shortcode with the configured strategy, overridden by
+ * `options`. `isTaken` decides whether a candidate is free. Gives up after
+ * `config.shortcodes.maxAttempts` candidates and returns null, so a nearly
+ * full namespace fails fast instead of looping.
+ */
+const generateShortcode = (options = {}, isTaken = () => false) => {
+  const settings = { ...defaultOptions(), ...options };
+  const generate = generators[settings.strategy];
+
+  for (let attempt = 0; attempt < config.shortcodes.maxAttempts; attempt++) {
+    const candidate = generate(settings);
+    if (candidate === null) {
+      return null;
+    }
+    if (config.shortcodes.profanityFilter && containsBlockedWord(candidate)) {
+      continue;
+    }
+    if (!isTaken(candidate)) {
+      return candidate;
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  SHORTCODE_STRATEGIES,
+  MIN_SHORTCODE_LENGTH,
+  MAX_SHORTCODE_LENGTH,
+  defaultOptions,
+  generateShortcode
+};
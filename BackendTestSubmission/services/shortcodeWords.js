@@ -0,0 +1,48 @@
+// Word lists for the `words` shortcode strategy. Every word is 3-5 letters,
+// so a pair always fits the 10 character shortcode limit.
+
+const ADJECTIVES = [
+  'able', 'aged', 'airy', 'amber', 'ample', 'apt', 'azure', 'bold', 'brave', 'brief',
+  'brisk', 'broad', 'busy', 'calm', 'chief', 'clean', 'clear', 'close', 'cool', 'cozy',
+  'crisp', 'curly', 'cute', 'dear', 'deep', 'eager', 'early', 'easy', 'even', 'exact',
+  'fair', 'fancy', 'fast', 'fine', 'firm', 'first', 'fit', 'fond', 'free', 'fresh',
+  'glad', 'gold', 'good', 'grand', 'great', 'green', 'happy', 'hardy', 'huge', 'ideal',
+  'jolly', 'just', 'keen', 'kind', 'large', 'lean', 'light', 'loyal', 'lucky',
+  'lush', 'magic', 'major', 'merry', 'mild', 'mint', 'neat', 'new', 'nice',
+  'noble', 'old', 'open', 'plain', 'polar', 'prime', 'proud', 'quick', 'quiet', 'rapid',
+  'rare', 'ready', 'real', 'rich', 'right', 'rosy', 'royal', 'ruby', 'safe', 'sharp',
+  'shiny', 'silky', 'sleek', 'smart', 'solar', 'solid', 'sunny', 'super', 'sweet', 'swift',
+  'tidy', 'tall', 'true', 'vast', 'vivid', 'warm', 'wavy', 'whole', 'wide', 'wise',
+  'witty', 'young', 'zesty'
+];
+
+const NOUNS = [
+  'acorn', 'apple', 'arch', 'badge', 'bark', 'basin', 'bay', 'beach', 'bee', 'bell',
+  'birch', 'bird', 'bloom', 'boat', 'brook', 'cabin', 'cake', 'cape', 'cedar', 'cliff',
+  'cloud', 'coast', 'comet', 'coral', 'cove', 'crane', 'creek', 'crow', 'dawn', 'deer',
+  'delta', 'dove', 'drum', 'dune', 'eagle', 'elm', 'ember', 'fern', 'field', 'finch',
+  'fjord', 'flame', 'flint', 'fox', 'frost', 'gale', 'glade', 'globe', 'grove', 'gull',
+  'hawk', 'heart', 'hill', 'horse', 'isle', 'ivy', 'jade', 'jay', 'kite',
+  'lake', 'lark', 'leaf', 'lily', 'lime', 'lion', 'lotus', 'maple', 'marsh', 'mole',
+  'mesa', 'mint', 'moon', 'moss', 'oak', 'ocean', 'olive', 'orbit', 'otter', 'owl',
+  'palm', 'peak', 'pearl', 'pine', 'plum', 'pond', 'quail', 'rain', 'raven', 'reef',
+  'ridge', 'river', 'robin', 'rock', 'rose', 'sage', 'sand', 'seal', 'shore', 'sky',
+  'slope', 'snow', 'spark', 'star', 'stone', 'storm', 'sun', 'swan', 'tide', 'tiger',
+  'trail', 'tree', 'tulip', 'vale', 'wave', 'wind', 'wolf', 'wren', 'yew'
+];
+
+// Generated shortcodes containing one of these, after undoing common digit
+// substitutions, are discarded. Matching is by substring, so a few harmless
+// codes are thrown away too; with generated codes that costs nothing.
+const BLOCKED_WORDS = [
+  'anal', 'anus', 'arse', 'ass', 'bitch', 'boob', 'butt', 'cock', 'crap', 'cum',
+  'cunt', 'damn', 'dick', 'dildo', 'fag', 'fuck', 'jizz', 'kkk', 'nazi', 'nigg',
+  'penis', 'piss', 'porn', 'pussy', 'rape', 'sex', 'shit', 'slut', 'tits', 'twat',
+  'wank', 'whore'
+];
+
+module.exports = {
+  ADJECTIVES,
+  NOUNS,
+  BLOCKED_WORDS
+};
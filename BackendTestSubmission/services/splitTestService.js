@@ -0,0 +1,52 @@
+const crypto = require('crypto');
+
+const MAX_VARIANTS = 10;
+
+/**
+ * Picks the variant a visitor is sent to. A visitor that already holds a
+ * variant (from the sticky cookie) keeps it as long as that variant still
+ * exists; everyone else is assigned at random in proportion to the weights.
+ */
+const chooseVariant = (variants, stickyVariantId = null) => {
+  const sticky = variants.find(variant => variant.id === stickyVariantId);
+  if (sticky) {
+    return sticky;
+  }
+
+  const totalWeight = variants.reduce((sum, variant) => sum + variant.weight, 0);
+  let ticket = crypto.randomInt(totalWeight);
+
+  for (const variant of variants) {
+    if (ticket < variant.weight) {
+      return variant;
+    }
+    ticket -= variant.weight;
+  }
+  return variants[variants.length - 1];
+};
+
+const variantCookieName = (shortcode) => `sv_${shortcode}`;
+
+/**
+ * Per-variant click and conversion counts for the statistics endpoint.
+ */
+const summarizeVariants = (urlEntry) => {
+  return (urlEntry.variants || []).map(variant => {
+    const clicks = urlEntry.clicks.filter(click => click.variant === variant.id).length;
+    const conversions = (urlEntry.conversions || []).filter(conversion => conversion.variant === variant.id).length;
+
+    return {
+      ...variant,
+      clicks,
+      conversions,
+      conversionRate: clicks > 0 ? Number((conversions / clicks).toFixed(4)) : 0
+    };
+  });
+};
+
+module.exports = {
+  MAX_VARIANTS,
+  chooseVariant,
+  variantCookieName,
+  summarizeVariants
+};
@@ -0,0 +1,172 @@
+const fs = require('fs');
+const path = require('path');
+
+const { logError, logInfo } = require('../../../LoggingMiddleware');
+
+// The journal is folded into the snapshot once it outgrows it, but never
+// while it is smaller than this.
+const MIN_COMPACTION_BYTES = 1024 * 1024;
+
+/**
+ * File-backed storage adapter. Records are kept in memory for fast reads.
+ * `<dataDir>/<name>.json` holds a snapshot of them, and shortly after every
+ * change the records that changed are appended to `<dataDir>/<name>.journal`,
+ * one JSON line each, without blocking the event loop. Once the journal
+ * outgrows the snapshot it is folded into a new one, which is written to a
+ * temporary file first and renamed into place so a crash mid-write never
+ * leaves a truncated snapshot behind. A journal line cut short by a crash is
+ * skipped on load.
+ */
+const createFileStorage = (name, { dataDir, flushDelayMs }) => {
+  const filePath = path.join(dataDir, `${name}.json`);
+  const journalPath = path.join(dataDir, `${name}.journal`);
+  const records = new Map();
+  // Keys changed since the last flush, and whether the store was cleared.
+  let changedKeys = new Set();
+  let cleared = false;
+  let flushTimer = null;
+  // Journal and snapshot writes run one after another on this chain.
+  let writing = Promise.resolve();
+  let snapshotBytes = 0;
+  let journalBytes = 0;
+
+  fs.mkdirSync(dataDir, { recursive: true });
+
+  const replayJournal = () => {
+    const lines = fs.readFileSync(journalPath, 'utf8').split('\n').filter(Boolean);
+    lines.forEach((line, index) => {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        if (index === lines.length - 1) {
+          logError('Skipped an incomplete storage journal line', error, { storage: name, journalPath });
+          return;
+        }
+        throw error;
+      }
+
+      if (entry.clear) {
+        records.clear();
+      } else if ('value' in entry) {
+        records.set(entry.key, entry.value);
+      } else {
+        records.delete(entry.key);
+      }
+    });
+    return lines.length;
+  };
+
+  const hasSnapshot = fs.existsSync(filePath);
+  const hasJournal = fs.existsSync(journalPath);
+  try {
+    if (hasSnapshot) {
+      const saved = fs.readFileSync(filePath, 'utf8');
+      Object.entries(JSON.parse(saved)).forEach(([key, value]) => records.set(key, value));
+      snapshotBytes = Buffer.byteLength(saved);
+    }
+
+    if (hasJournal && replayJournal() > 0) {
+      // Start with an empty journal; nothing else is running yet.
+      const snapshot = JSON.stringify(Object.fromEntries(records));
+      fs.writeFileSync(`${filePath}.tmp`, snapshot);
+      fs.renameSync(`${filePath}.tmp`, filePath);
+      fs.writeFileSync(journalPath, '');
+      snapshotBytes = Buffer.byteLength(snapshot);
+    }
+
+    if (hasSnapshot || hasJournal) {
+      logInfo('Storage loaded from disk', { storage: name, filePath, records: records.size });
+    }
+  } catch (error) {
+    logError('Failed to load storage file', error, { storage: name, filePath });
+    throw error;
+  }
+
+  const compact = async () => {
+    const snapshot = JSON.stringify(Object.fromEntries(records));
+    const tempPath = `${filePath}.tmp`;
+    await fs.promises.writeFile(tempPath, snapshot);
+    await fs.promises.rename(tempPath, filePath);
+    await fs.promises.writeFile(journalPath, '');
+    snapshotBytes = Buffer.byteLength(snapshot);
+    journalBytes = 0;
+  };
+
+  const scheduleFlush = () => {
+    if (flushTimer) return;
+    flushTimer = setTimeout(flush, flushDelayMs);
+    flushTimer.unref();
+  };
+
+  /**
+   * Appends the pending changes to the journal. Resolves once they and any
+   * earlier writes are on disk; failed changes are kept for the next flush.
+   */
+  const flush = () => {
+    if (flushTimer) {
+      clearTimeout(flushTimer);
+      flushTimer = null;
+    }
+
+    const keys = changedKeys;
+    const wasCleared = cleared;
+    changedKeys = new Set();
+    cleared = false;
+
+    writing = writing.then(async () => {
+      const lines = [
+        ...(wasCleared ? [JSON.stringify({ clear: true })] : []),
+        ...Array.from(keys, key => JSON.stringify(records.has(key) ? { key, value: records.get(key) } : { key }))
+      ];
+
+      try {
+        if (lines.length > 0) {
+          const text = `${lines.join('\n')}\n`;
+          await fs.promises.appendFile(journalPath, text);
+          journalBytes += Buffer.byteLength(text);
+        }
+        if (journalBytes > Math.max(snapshotBytes, MIN_COMPACTION_BYTES)) {
+          await compact();
+        }
+      } catch (error) {
+        logError('Failed to write storage file', error, { storage: name, filePath });
+        cleared = cleared || wasCleared;
+        keys.forEach(key => changedKeys.add(key));
+        scheduleFlush();
+      }
+    });
+    return writing;
+  };
+
+  const markChanged = (key) => {
+    changedKeys.add(key);
+    scheduleFlush();
+  };
+
+  return {
+    get: (key) => records.get(key),
+    set: (key, value) => {
+      records.set(key, value);
+      markChanged(key);
+    },
+    has: (key) => records.has(key),
+    delete: (key) => {
+      const deleted = records.delete(key);
+      if (deleted) markChanged(key);
+      return deleted;
+    },
+    values: () => Array.from(records.values()),
+    entries: () => Array.from(records.entries()),
+    clear: () => {
+      records.clear();
+      changedKeys = new Set();
+      cleared = true;
+      scheduleFlush();
+    },
+    flush,
+    close: flush
+  };
+};
+
+module.exports = createFileStorage;
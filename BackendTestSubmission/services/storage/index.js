@@ -0,0 +1,41 @@
+const config = require('../../config');
+const createMemoryStorage = require('./memoryStorage');
+const createFileStorage = require('./fileStorage');
+
+const openStores = new Map();
+
+/**
+ * Returns the store for a named collection using the adapter selected by
+ * `config.storage.driver`. Every adapter exposes the same Map-like surface:
+ * get, set, has, delete, values, entries, clear, flush and close.
+ */
+const getStorage = (name) => {
+  if (openStores.has(name)) {
+    return openStores.get(name);
+  }
+
+  let store;
+  switch (config.storage.driver) {
+    case 'memory':
+      store = createMemoryStorage();
+      break;
+    case 'file':
+      store = createFileStorage(name, config.storage);
+      break;
+    default:
+      throw new Error(`Unknown storage driver "${config.storage.driver}"`);
+  }
+
+  openStores.set(name, store);
+  return store;
+};
+
+// Resolves once every store has written its pending changes.
+const closeAllStorage = () => {
+  return Promise.all(Array.from(openStores.values(), store => store.close()));
+};
+
+module.exports = {
+  getStorage,
+  closeAllStorage
+};
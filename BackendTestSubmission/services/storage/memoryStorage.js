@@ -0,0 +1,23 @@
+/**
+ * In-process storage adapter. Data lives only as long as the process does,
+ * which makes it the adapter of choice for tests and throwaway instances.
+ */
+const createMemoryStorage = () => {
+  const records = new Map();
+
+  return {
+    get: (key) => records.get(key),
+    set: (key, value) => {
+      records.set(key, value);
+    },
+    has: (key) => records.has(key),
+    delete: (key) => records.delete(key),
+    values: () => Array.from(records.values()),
+    entries: () => Array.from(records.entries()),
+    clear: () => records.clear(),
+    flush: () => {},
+    close: () => {}
+  };
+};
+
+module.exports = createMemoryStorage;
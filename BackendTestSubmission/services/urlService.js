@@ -1,63 +1,324 @@
-const { nanoid } = require('nanoid');
+const config = require('../config');
+const { getStorage } = require('./storage');
 
-const urlStorage = new Map();
+const urlStorage = getStorage('urls');
+const archiveStorage = getStorage('archivedUrls');
 
-const generateShortcode = () => {
-  let shortcode;
-  do {
-    shortcode = nanoid(6);
-  } while (urlStorage.has(shortcode));
-  
-  return shortcode;
+const compareStrings = (a, b) => (a < b ? -1 : (a > b ? 1 : 0));
+
+/**
+ * Reduces a URL to a form shared by its trivially different spellings: the
+ * URL parser already lowercases the scheme and host, drops default ports and
+ * resolves dot segments; on top of that trailing slashes are removed from
+ * non-root paths and query parameters are sorted. Fragments are kept, since
+ * single-page apps route on them.
+ */
+const canonicalizeUrl = (url) => {
+  const target = new URL(url);
+  if (target.pathname.length > 1) {
+    target.pathname = target.pathname.replace(/\/+$/, '') || '/';
+  }
+
+  const params = [...target.searchParams.entries()]
+    .sort(([keyA, valueA], [keyB, valueB]) => compareStrings(keyA, keyB) || compareStrings(valueA, valueB));
+  target.search = new URLSearchParams(params).toString();
+
+  return target.toString();
+};
+
+// Reverse index from owner and canonical destination to shortcodes, used to
+// find a link to reuse instead of minting a duplicate. It lives in memory
+// and is rebuilt from storage on startup.
+const destinationIndex = new Map();
+
+const destinationKey = (owner, originalUrl) => `${owner}\n${canonicalizeUrl(originalUrl)}`;
+
+const indexDestination = (urlEntry) => {
+  const key = destinationKey(urlEntry.owner, urlEntry.originalUrl);
+  if (!destinationIndex.has(key)) {
+    destinationIndex.set(key, new Set());
+  }
+  destinationIndex.get(key).add(urlEntry.shortcode);
+};
+
+const unindexDestination = (urlEntry) => {
+  const key = destinationKey(urlEntry.owner, urlEntry.originalUrl);
+  const shortcodes = destinationIndex.get(key);
+  if (!shortcodes) return;
+
+  shortcodes.delete(urlEntry.shortcode);
+  if (shortcodes.size === 0) {
+    destinationIndex.delete(key);
+  }
+};
+
+urlStorage.values().forEach(indexDestination);
+
+// Lowercased shortcode to the shortcode as stored, for live and archived
+// links. Kept in either mode so the case-insensitive mode can be switched on
+// without a migration.
+const caseIndex = new Map();
+
+[...urlStorage.values(), ...archiveStorage.values()].forEach(urlEntry => {
+  if (!caseIndex.has(urlEntry.shortcode.toLowerCase())) {
+    caseIndex.set(urlEntry.shortcode.toLowerCase(), urlEntry.shortcode);
+  }
+});
+
+/**
+ * Maps a shortcode as typed to the key it is stored under. In the
+ * case-insensitive mode `GitHub` finds a link stored as `github`; an exact
+ * match always wins, so links that only differ in case from before the mode
+ * was enabled stay reachable.
+ */
+const resolveShortcode = (shortcode) => {
+  if (!config.shortcodes.caseInsensitive || urlStorage.has(shortcode) || archiveStorage.has(shortcode)) {
+    return shortcode;
+  }
+  return caseIndex.get(shortcode.toLowerCase()) || shortcode;
 };
 
+// Archived shortcodes stay reserved until they are purged so their stats are
+// never mixed up with those of a newly created link.
 const shortcodeExists = (shortcode) => {
-  return urlStorage.has(shortcode);
+  return urlStorage.has(shortcode) ||
+    archiveStorage.has(shortcode) ||
+    (config.shortcodes.caseInsensitive && caseIndex.has(shortcode.toLowerCase()));
+};
+
+// Shortcodes that differ only in case are the same in the case-insensitive
+// mode; callers tracking shortcodes of their own compare these keys.
+const namespaceKey = (shortcode) => {
+  return config.shortcodes.caseInsensitive ? shortcode.toLowerCase() : shortcode;
 };
 
 const storeUrl = (urlEntry) => {
   urlStorage.set(urlEntry.shortcode, urlEntry);
+  indexDestination(urlEntry);
+  if (!caseIndex.has(urlEntry.shortcode.toLowerCase())) {
+    caseIndex.set(urlEntry.shortcode.toLowerCase(), urlEntry.shortcode);
+  }
 };
 
 const getUrl = (shortcode) => {
-  return urlStorage.get(shortcode);
+  return urlStorage.get(resolveShortcode(shortcode));
 };
 
 const recordClick = (shortcode, clickData) => {
-  const urlEntry = urlStorage.get(shortcode);
+  const key = resolveShortcode(shortcode);
+  const urlEntry = urlStorage.get(key);
   if (urlEntry) {
     urlEntry.clicks.push(clickData);
-    urlStorage.set(shortcode, urlEntry);
+    urlStorage.set(key, urlEntry);
+  }
+};
+
+const recordConversion = (shortcode, conversion) => {
+  const key = resolveShortcode(shortcode);
+  const urlEntry = urlStorage.get(key);
+  if (urlEntry) {
+    urlEntry.conversions = [...(urlEntry.conversions || []), conversion];
+    urlStorage.set(key, urlEntry);
+  }
+};
+
+// Like clicks, health checks are not edits and leave `updatedAt` alone.
+const recordHealthCheck = (shortcode, health) => {
+  const key = resolveShortcode(shortcode);
+  const urlEntry = urlStorage.get(key);
+  if (urlEntry) {
+    urlEntry.health = health;
+    urlStorage.set(key, urlEntry);
+  }
+};
+
+const updateUrl = (shortcode, changes) => {
+  const key = resolveShortcode(shortcode);
+  const urlEntry = urlStorage.get(key);
+  if (!urlEntry) {
+    return null;
+  }
+
+  const updatedEntry = {
+    ...urlEntry,
+    ...changes,
+    updatedAt: new Date().toISOString()
+  };
+  urlStorage.set(key, updatedEntry);
+
+  if (updatedEntry.originalUrl !== urlEntry.originalUrl) {
+    unindexDestination(urlEntry);
+    indexDestination(updatedEntry);
   }
+  return updatedEntry;
+};
+
+const deactivateUrl = (shortcode) => {
+  return updateUrl(shortcode, { deactivatedAt: new Date().toISOString() });
 };
 
 const getAllUrls = () => {
   return Array.from(urlStorage.values());
 };
 
-const cleanupExpiredUrls = () => {
+/**
+ * Finds `owner`'s newest active link whose destination is equivalent to `url`
+ * under canonicalizeUrl, optionally narrowed down by `filter`.
+ */
+const findActiveUrlByDestination = (owner, url, filter = () => true) => {
+  const shortcodes = destinationIndex.get(destinationKey(owner, url));
+  if (!shortcodes) {
+    return null;
+  }
+
+  const now = new Date();
+  return Array.from(shortcodes)
+    .map(shortcode => urlStorage.get(shortcode))
+    .filter(urlEntry => urlEntry && getUrlStatus(urlEntry, now) === 'active' && filter(urlEntry))
+    .sort((a, b) => compareStrings(b.createdAt, a.createdAt))[0] || null;
+};
+
+const hasReachedClickLimit = (urlEntry) => {
+  return Boolean(urlEntry.maxClicks) && urlEntry.clicks.length >= urlEntry.maxClicks;
+};
+
+const getUrlStatus = (urlEntry, now = new Date()) => {
+  if (urlEntry.deactivatedAt) return 'deleted';
+  if (urlEntry.blockedAt) return 'blocked';
+  if (urlEntry.archivedAt || new Date(urlEntry.expiresAt) < now) return 'expired';
+  if (hasReachedClickLimit(urlEntry)) return 'expired';
+  if (urlEntry.activatesAt && new Date(urlEntry.activatesAt) > now) return 'scheduled';
+  return 'active';
+};
+
+const sortValueOf = (urlEntry, sort) => {
+  return sort === 'clicks' ? urlEntry.clicks.length : urlEntry[sort];
+};
+
+const encodeCursor = (urlEntry, sort) => {
+  return Buffer.from(JSON.stringify([sortValueOf(urlEntry, sort), urlEntry.shortcode])).toString('base64url');
+};
+
+const decodeCursor = (cursor) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (Array.isArray(decoded) && decoded.length === 2 && typeof decoded[1] === 'string') {
+      return { value: decoded[0], shortcode: decoded[1] };
+    }
+  } catch (error) {
+    // Fall through to the invalid cursor result below.
+  }
+  return null;
+};
+
+/**
+ * Lists an owner's live and archived links with keyset pagination. Entries
+ * are ordered by the sort field with the shortcode as tie-breaker, so a
+ * cursor keeps its place even when links are created or removed between
+ * requests.
+ */
+const listUrls = ({ owner, limit, cursor, sort, order, status, domain, createdFrom, createdTo }) => {
+  const now = new Date();
+  const direction = order === 'asc' ? 1 : -1;
+
+  const compare = (a, b) => {
+    if (a.value < b.value) return -direction;
+    if (a.value > b.value) return direction;
+    if (a.shortcode < b.shortcode) return -direction;
+    if (a.shortcode > b.shortcode) return direction;
+    return 0;
+  };
+
+  const matches = [...urlStorage.values(), ...archiveStorage.values()]
+    .filter(urlEntry => {
+      if (urlEntry.owner !== owner) return false;
+      if (status && getUrlStatus(urlEntry, now) !== status) return false;
+      if (createdFrom && new Date(urlEntry.createdAt) < createdFrom) return false;
+      if (createdTo && new Date(urlEntry.createdAt) > createdTo) return false;
+      if (domain) {
+        const hostname = new URL(urlEntry.originalUrl).hostname.toLowerCase();
+        if (hostname !== domain && !hostname.endsWith(`.${domain}`)) return false;
+      }
+      return true;
+    })
+    .map(urlEntry => ({ value: sortValueOf(urlEntry, sort), shortcode: urlEntry.shortcode, urlEntry }))
+    .sort(compare);
+
+  const remaining = cursor ? matches.filter(item => compare(item, cursor) > 0) : matches;
+  const page = remaining.slice(0, limit).map(item => item.urlEntry);
+
+  return {
+    items: page,
+    nextCursor: remaining.length > limit ? encodeCursor(page[page.length - 1], sort) : null
+  };
+};
+
+const getArchivedUrl = (shortcode) => {
+  return archiveStorage.get(resolveShortcode(shortcode));
+};
+
+/**
+ * Moves expired links into the archive, where their stats stay queryable for
+ * `archiveGraceMs`, and purges archived links whose grace period has passed.
+ */
+const cleanupExpiredUrls = (archiveGraceMs) => {
   const now = new Date();
-  const expiredShortcodes = [];
+  const archivedEntries = [];
+  const purgedShortcodes = [];
   
   for (const [shortcode, urlEntry] of urlStorage.entries()) {
     if (new Date(urlEntry.expiresAt) < now) {
-      expiredShortcodes.push(shortcode);
+      archivedEntries.push({
+        ...urlEntry,
+        archivedAt: now.toISOString(),
+        purgeAt: new Date(now.getTime() + archiveGraceMs).toISOString()
+      });
     }
   }
   
-  expiredShortcodes.forEach(shortcode => {
-    urlStorage.delete(shortcode);
+  archivedEntries.forEach(urlEntry => {
+    archiveStorage.set(urlEntry.shortcode, urlEntry);
+    urlStorage.delete(urlEntry.shortcode);
+    unindexDestination(urlEntry);
+  });
+
+  for (const [shortcode, urlEntry] of archiveStorage.entries()) {
+    if (new Date(urlEntry.purgeAt) < now) {
+      purgedShortcodes.push(shortcode);
+    }
+  }
+
+  purgedShortcodes.forEach(shortcode => {
+    archiveStorage.delete(shortcode);
+    if (caseIndex.get(shortcode.toLowerCase()) === shortcode) {
+      caseIndex.delete(shortcode.toLowerCase());
+    }
   });
   
-  return expiredShortcodes.length;
+  return {
+    archived: archivedEntries,
+    purged: purgedShortcodes
+  };
 };
 
 module.exports = {
-  generateShortcode,
+  resolveShortcode,
   shortcodeExists,
+  namespaceKey,
   storeUrl,
   getUrl,
   recordClick,
+  recordConversion,
+  recordHealthCheck,
+  updateUrl,
+  deactivateUrl,
   getAllUrls,
+  canonicalizeUrl,
+  findActiveUrlByDestination,
+  hasReachedClickLimit,
+  getUrlStatus,
+  listUrls,
+  decodeCursor,
+  getArchivedUrl,
   cleanupExpiredUrls
 };
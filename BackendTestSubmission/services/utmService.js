@@ -0,0 +1,26 @@
+const { LIMITS } = require('shared-validation');
+
+const UTM_FIELDS = LIMITS.utm.fields;
+
+/**
+ * Sets the `utm_*` query parameters described by `utm` on `url`, replacing
+ * any the URL already carries for the same fields.
+ */
+const applyUtm = (url, utm) => {
+  if (!utm) {
+    return url;
+  }
+
+  const target = new URL(url);
+  UTM_FIELDS.forEach(field => {
+    if (utm[field]) {
+      target.searchParams.set(`utm_${field}`, utm[field]);
+    }
+  });
+  return target.toString();
+};
+
+module.exports = {
+  UTM_FIELDS,
+  applyUtm
+};
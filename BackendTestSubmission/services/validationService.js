@@ -1,33 +1,109 @@
+const sharedValidation = require('shared-validation');
 
+const { logDestinationRejected } = require('../../LoggingMiddleware');
+
+const config = require('../config');
+const analyticsService = require('./analyticsService');
+const { WEBHOOK_EVENTS } = require('./webhookService');
+const domainService = require('./domainService');
+const { RULE_CONDITIONS, MAX_RULES } = require('./ruleService');
+const { MAX_VARIANTS } = require('./splitTestService');
+const { QUERY_CONFLICT_POLICIES } = require('./passthroughService');
+const { redirectSettings, requiresServerVisit } = require('./redirectService');
+const destinationPolicyService = require('./destinationPolicyService');
+const { SHORTCODE_STRATEGIES, MIN_SHORTCODE_LENGTH, MAX_SHORTCODE_LENGTH } = require('./shortcodeService');
+
+// URL, shortcode, validity and click limit rules live in the shared package
+// so the frontend applies the same ones; these wrappers add what only the
+// server knows.
 const validateShortcode = (shortcode) => {
-  
-  if (!shortcode) {
+  return sharedValidation.validateShortcode(shortcode, { reservedWords: config.shortcodes.reservedWords });
+};
+
+const validateUrl = (url) => {
+  const result = sharedValidation.validateUrl(url);
+  if (!result.isValid) {
+    return result;
+  }
+
+  const policy = destinationPolicyService.checkDestination(result.normalizedUrl);
+  if (!policy.isAllowed) {
+    logDestinationRejected(result.normalizedUrl, policy.reason);
     return {
       isValid: false,
-      error: 'Shortcode cannot be empty'
+      error: policy.message
     };
   }
 
-  if (shortcode.length < 4 || shortcode.length > 10) {
+  return result;
+};
+
+const { validateValidity } = sharedValidation;
+
+
+const MAX_LINK_LIFETIME_MINUTES = sharedValidation.LIMITS.validity.maxMinutes;
+const ACTIVATION_CLOCK_SKEW_MS = 60 * 1000;
+
+/**
+ * Validates an optional activation time. The validity period of a scheduled
+ * link counts from its activation, and the whole window
+ * [activatesAt, activatesAt + validity] must still end within the maximum
+ * link lifetime measured from now.
+ */
+const validateActivatesAt = (activatesAt, validityMinutes) => {
+  if (activatesAt === undefined || activatesAt === null) {
+    return {
+      isValid: true,
+      error: null,
+      value: null
+    };
+  }
+
+  const activationDate = new Date(activatesAt);
+  if (typeof activatesAt !== 'string' || isNaN(activationDate.getTime())) {
     return {
       isValid: false,
-      error: 'Shortcode must be between 4 and 10 characters long'
+      error: 'activatesAt must be a valid ISO 8601 date'
     };
   }
 
-  const alphanumericRegex = /^[a-zA-Z0-9]+$/;
-  if (!alphanumericRegex.test(shortcode)) {
+  const now = Date.now();
+  if (activationDate.getTime() < now - ACTIVATION_CLOCK_SKEW_MS) {
     return {
       isValid: false,
-      error: 'Shortcode can only contain alphanumeric characters (a-z, A-Z, 0-9)'
+      error: 'activatesAt must not be in the past'
     };
   }
 
-  const reservedWords = ['api', 'admin', 'www', 'shorturls', 'health', 'stats'];
-  if (reservedWords.includes(shortcode.toLowerCase())) {
+  const windowEnd = activationDate.getTime() + validityMinutes * 60 * 1000;
+  if (windowEnd > now + MAX_LINK_LIFETIME_MINUTES * 60 * 1000) {
     return {
       isValid: false,
-      error: 'Shortcode uses a reserved word. Please choose a different shortcode.'
+      error: `activatesAt plus validity must end within ${MAX_LINK_LIFETIME_MINUTES} minutes (${MAX_LINK_LIFETIME_MINUTES / 1440} days) from now`
+    };
+  }
+
+  return {
+    isValid: true,
+    error: null,
+    value: activationDate
+  };
+};
+
+const { validateMaxClicks } = sharedValidation;
+
+const validatePassword = (password) => {
+  if (password === undefined || password === null) {
+    return {
+      isValid: true,
+      error: null
+    };
+  }
+
+  if (typeof password !== 'string' || password.length < 4 || password.length > 128) {
+    return {
+      isValid: false,
+      error: 'Password must be a string between 4 and 128 characters long'
     };
   }
 
@@ -37,102 +113,699 @@ const validateShortcode = (shortcode) => {
   };
 };
 
+const validateBatch = (items, mode, maxItems) => {
+  if (!Array.isArray(items)) {
+    return {
+      isValid: false,
+      error: 'Items must be an array'
+    };
+  }
+
+  if (items.length < 1 || items.length > maxItems) {
+    return {
+      isValid: false,
+      error: `A batch must contain between 1 and ${maxItems} items`
+    };
+  }
 
-const validateUrl = (url) => {
-  if (!url) {
+  if (!['all-or-nothing', 'best-effort'].includes(mode)) {
     return {
       isValid: false,
-      error: 'URL is required'
+      error: 'Mode must be either "all-or-nothing" or "best-effort"'
     };
   }
 
-  const trimmedUrl = url.trim();
+  return {
+    isValid: true,
+    error: null
+  };
+};
+
+const validateListQuery = (query) => {
+  const { limit, sort = 'createdAt', order = 'desc', status, domain, createdFrom, createdTo } = query;
+  const value = { sort, order, status, limit: 20 };
+
+  if (limit !== undefined) {
+    if (!/^\d+$/.test(limit) || Number(limit) < 1 || Number(limit) > 100) {
+      return {
+        isValid: false,
+        error: 'Limit must be an integer between 1 and 100'
+      };
+    }
+    value.limit = Number(limit);
+  }
+
+  if (!['createdAt', 'expiresAt', 'clicks'].includes(sort)) {
+    return {
+      isValid: false,
+      error: 'Sort must be one of createdAt, expiresAt or clicks'
+    };
+  }
 
-  if (trimmedUrl.includes(' ')) {
+  if (!['asc', 'desc'].includes(order)) {
     return {
       isValid: false,
-      error: 'URL cannot contain spaces'
+      error: 'Order must be either asc or desc'
     };
   }
 
-  try {
-    const urlObj = new URL(trimmedUrl);
+  if (status !== undefined && !['active', 'scheduled', 'expired', 'deleted', 'blocked'].includes(status)) {
+    return {
+      isValid: false,
+      error: 'Status must be one of active, scheduled, expired, deleted or blocked'
+    };
+  }
 
-    if (!['http:', 'https:'].includes(urlObj.protocol)) {
+  if (domain !== undefined) {
+    if (typeof domain !== 'string' || !/^[a-zA-Z0-9.-]+$/.test(domain)) {
       return {
         isValid: false,
-        error: 'URL must use http:// or https:// protocol'
+        error: 'Domain must be a valid hostname'
       };
     }
+    value.domain = domain.toLowerCase();
+  }
 
-    if (!urlObj.hostname) {
+  for (const [field, raw] of [['createdFrom', createdFrom], ['createdTo', createdTo]]) {
+    if (raw === undefined) continue;
+
+    const date = new Date(raw);
+    if (typeof raw !== 'string' || isNaN(date.getTime())) {
       return {
         isValid: false,
-        error: 'URL must have a valid hostname'
+        error: `${field} must be a valid ISO 8601 date`
       };
     }
-    const hostnameRegex = /^[a-zA-Z0-9.-]+$/;
-    if (!hostnameRegex.test(urlObj.hostname) || !urlObj.hostname.includes('.')) {
+    value[field] = date;
+  }
+
+  if (value.createdFrom && value.createdTo && value.createdFrom > value.createdTo) {
+    return {
+      isValid: false,
+      error: 'createdFrom must not be later than createdTo'
+    };
+  }
+
+  return {
+    isValid: true,
+    error: null,
+    value
+  };
+};
+
+const MAX_ANALYTICS_BUCKETS = 2000;
+
+const validateAnalyticsQuery = (query, defaultFrom) => {
+  const { interval = 'hour', from, to } = query;
+
+  if (!['minute', 'hour', 'day'].includes(interval)) {
+    return {
+      isValid: false,
+      error: 'Interval must be one of minute, hour or day'
+    };
+  }
+
+  const value = {
+    interval,
+    from: new Date(defaultFrom),
+    to: new Date()
+  };
+
+  for (const [field, raw] of [['from', from], ['to', to]]) {
+    if (raw === undefined) continue;
+
+    const date = new Date(raw);
+    if (typeof raw !== 'string' || isNaN(date.getTime())) {
       return {
         isValid: false,
-        error: 'URL must have a valid domain name'
+        error: `${field} must be a valid ISO 8601 date`
       };
     }
-    if (urlObj.hostname.startsWith('-') || urlObj.hostname.endsWith('-') || 
-        urlObj.hostname.startsWith('.') || urlObj.hostname.endsWith('.')) {
+    value[field] = date;
+  }
+
+  if (value.from >= value.to) {
+    return {
+      isValid: false,
+      error: 'from must be earlier than to'
+    };
+  }
+
+  if (analyticsService.countBuckets(value.from, value.to, interval) > MAX_ANALYTICS_BUCKETS) {
+    return {
+      isValid: false,
+      error: `The requested range spans more than ${MAX_ANALYTICS_BUCKETS} ${interval} buckets. Use a larger interval or a shorter range.`
+    };
+  }
+
+  return {
+    isValid: true,
+    error: null,
+    value
+  };
+};
+
+const validateClicksQuery = (query) => {
+  const { limit, cursor } = query;
+  const value = { limit: 50, before: null };
+
+  if (limit !== undefined) {
+    if (!/^\d+$/.test(limit) || Number(limit) < 1 || Number(limit) > 500) {
       return {
         isValid: false,
-        error: 'URL domain name format is invalid'
+        error: 'Limit must be an integer between 1 and 500'
       };
     }
+    value.limit = Number(limit);
+  }
+
+  if (cursor !== undefined) {
+    if (!/^\d+$/.test(cursor)) {
+      return {
+        isValid: false,
+        error: 'Cursor is invalid'
+      };
+    }
+    value.before = Number(cursor);
+  }
 
+  return {
+    isValid: true,
+    error: null,
+    value
+  };
+};
+
+/**
+ * Validates an ordered list of redirect rules such as
+ * `[{ name: 'iOS', when: { os: 'iOS' }, url: 'https://apps.apple.com/...' }]`.
+ * Condition values may be a string or an array of strings and are normalized
+ * to arrays.
+ */
+const validateRules = (rules) => {
+  if (rules === undefined || rules === null) {
     return {
       isValid: true,
       error: null,
-      normalizedUrl: trimmedUrl
+      value: []
     };
-  } catch (error) {
+  }
+
+  if (!Array.isArray(rules) || rules.length > MAX_RULES) {
     return {
       isValid: false,
-      error: 'Invalid URL format'
+      error: `Rules must be an array of at most ${MAX_RULES} rules`
     };
   }
+
+  const value = [];
+  for (const [index, rule] of rules.entries()) {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      return {
+        isValid: false,
+        error: `Rule ${index} must be an object`
+      };
+    }
+
+    if (rule.name !== undefined && (typeof rule.name !== 'string' || rule.name.length > 64)) {
+      return {
+        isValid: false,
+        error: `Rule ${index}: name must be a string of at most 64 characters`
+      };
+    }
+
+    const urlValidation = validateUrl(rule.url);
+    if (!urlValidation.isValid) {
+      return {
+        isValid: false,
+        error: `Rule ${index}: ${urlValidation.error}`
+      };
+    }
+
+    const when = rule.when;
+    if (!when || typeof when !== 'object' || Array.isArray(when) || Object.keys(when).length === 0) {
+      return {
+        isValid: false,
+        error: `Rule ${index}: "when" must set at least one of: ${RULE_CONDITIONS.join(', ')}`
+      };
+    }
+
+    const normalizedWhen = {};
+    for (const [condition, conditionValue] of Object.entries(when)) {
+      if (!RULE_CONDITIONS.includes(condition)) {
+        return {
+          isValid: false,
+          error: `Rule ${index}: unknown condition "${condition}". Supported conditions: ${RULE_CONDITIONS.join(', ')}`
+        };
+      }
+
+      const values = Array.isArray(conditionValue) ? conditionValue : [conditionValue];
+      if (values.length === 0 || !values.every(item => typeof item === 'string' && item.trim() !== '')) {
+        return {
+          isValid: false,
+          error: `Rule ${index}: "${condition}" must be a non-empty string or array of strings`
+        };
+      }
+      normalizedWhen[condition] = values.map(item => item.trim());
+    }
+
+    value.push({
+      ...(rule.name && { name: rule.name }),
+      when: normalizedWhen,
+      url: urlValidation.normalizedUrl
+    });
+  }
+
+  return {
+    isValid: true,
+    error: null,
+    value
+  };
 };
 
+/**
+ * Validates the weighted destinations of an A/B test, e.g.
+ * `[{ id: 'control', url, weight: 70 }, { id: 'new-page', url, weight: 30 }]`.
+ * Variants without an id are numbered `v1`, `v2`, ...
+ */
+const validateVariants = (variants) => {
+  if (variants === undefined || variants === null) {
+    return {
+      isValid: true,
+      error: null,
+      value: []
+    };
+  }
 
-const validateValidity = (validity) => {
-  if (validity === undefined || validity === null) {
+  if (!Array.isArray(variants) || variants.length < 2 || variants.length > MAX_VARIANTS) {
+    return {
+      isValid: false,
+      error: `Variants must be an array of 2 to ${MAX_VARIANTS} destinations`
+    };
+  }
+
+  const value = [];
+  for (const [index, variant] of variants.entries()) {
+    if (!variant || typeof variant !== 'object' || Array.isArray(variant)) {
+      return {
+        isValid: false,
+        error: `Variant ${index} must be an object`
+      };
+    }
+
+    const id = variant.id === undefined ? `v${index + 1}` : variant.id;
+    if (typeof id !== 'string' || !/^[a-zA-Z0-9_-]{1,32}$/.test(id)) {
+      return {
+        isValid: false,
+        error: `Variant ${index}: id must be 1-32 letters, digits, "_" or "-"`
+      };
+    }
+
+    if (value.some(existing => existing.id === id)) {
+      return {
+        isValid: false,
+        error: `Variant ${index}: id "${id}" is used more than once`
+      };
+    }
+
+    const urlValidation = validateUrl(variant.url);
+    if (!urlValidation.isValid) {
+      return {
+        isValid: false,
+        error: `Variant ${index}: ${urlValidation.error}`
+      };
+    }
+
+    if (!Number.isInteger(variant.weight) || variant.weight < 1 || variant.weight > 1000) {
+      return {
+        isValid: false,
+        error: `Variant ${index}: weight must be an integer between 1 and 1000`
+      };
+    }
+
+    value.push({ id, url: urlValidation.normalizedUrl, weight: variant.weight });
+  }
+
+  return {
+    isValid: true,
+    error: null,
+    value
+  };
+};
+
+const { validateUtm } = sharedValidation;
+
+const { validateRedirect } = sharedValidation;
+
+/**
+ * Checks a link's redirect caching against its other settings, as they will
+ * be once saved. A browser replaying a cached redirect would bypass whatever
+ * needs every visit to reach the server.
+ */
+const validateRedirectCaching = (urlEntry) => {
+  if (redirectSettings(urlEntry).cacheMaxAge > 0 && requiresServerVisit(urlEntry)) {
+    return {
+      isValid: false,
+      error: 'Redirect cacheMaxAge must be 0 or null for links with maxClicks, rules, variants, a password or passthrough, since every visit has to reach the server'
+    };
+  }
+
+  return {
+    isValid: true,
+    error: null
+  };
+};
+
+/**
+ * Validates per-request overrides for shortcode generation. Omitted fields
+ * keep the server defaults, so the value only holds what was sent.
+ */
+const validateShortcodeOptions = (shortcodeOptions) => {
+  if (shortcodeOptions === undefined || shortcodeOptions === null) {
+    return {
+      isValid: true,
+      error: null,
+      value: {}
+    };
+  }
+
+  if (typeof shortcodeOptions !== 'object' || Array.isArray(shortcodeOptions)) {
+    return {
+      isValid: false,
+      error: 'shortcodeOptions must be an object such as { "strategy": "words" }'
+    };
+  }
+
+  const { strategy, length, excludeLookalikes } = shortcodeOptions;
+  const value = {};
+
+  if (strategy !== undefined) {
+    if (!SHORTCODE_STRATEGIES.includes(strategy)) {
+      return {
+        isValid: false,
+        error: `shortcodeOptions.strategy must be one of: ${SHORTCODE_STRATEGIES.join(', ')}`
+      };
+    }
+    value.strategy = strategy;
+  }
+
+  if (length !== undefined) {
+    if (!Number.isInteger(length) || length < MIN_SHORTCODE_LENGTH || length > MAX_SHORTCODE_LENGTH) {
+      return {
+        isValid: false,
+        error: `shortcodeOptions.length must be a whole number between ${MIN_SHORTCODE_LENGTH} and ${MAX_SHORTCODE_LENGTH}`
+      };
+    }
+    value.length = length;
+  }
+
+  if (excludeLookalikes !== undefined) {
+    if (typeof excludeLookalikes !== 'boolean') {
+      return {
+        isValid: false,
+        error: 'shortcodeOptions.excludeLookalikes must be a boolean'
+      };
+    }
+    value.excludeLookalikes = excludeLookalikes;
+  }
+
+  return {
+    isValid: true,
+    error: null,
+    value
+  };
+};
+
+const validatePreview = (preview) => {
+  if (preview === undefined || preview === null) {
+    return {
+      isValid: true,
+      error: null,
+      value: false
+    };
+  }
+
+  if (typeof preview !== 'boolean') {
+    return {
+      isValid: false,
+      error: 'Preview must be a boolean'
+    };
+  }
+
+  return {
+    isValid: true,
+    error: null,
+    value: preview
+  };
+};
+
+// A reused link keeps its own settings, so a payload asking for any of these
+// could not be honoured.
+const REUSE_CONFLICTING_FIELDS = ['password', 'validity', 'maxClicks', 'activatesAt', 'rules', 'variants', 'passthrough', 'redirect', 'preview'];
+
+const validateReuseExisting = (reuseExisting, payload = {}) => {
+  if (reuseExisting === undefined || reuseExisting === null) {
+    return {
+      isValid: true,
+      error: null,
+      value: false
+    };
+  }
+
+  if (typeof reuseExisting !== 'boolean') {
+    return {
+      isValid: false,
+      error: 'reuseExisting must be a boolean'
+    };
+  }
+
+  const conflictingField = reuseExisting && REUSE_CONFLICTING_FIELDS.find(field => payload[field] !== undefined && payload[field] !== null);
+  if (conflictingField) {
+    return {
+      isValid: false,
+      error: `reuseExisting cannot be combined with "${conflictingField}", since a reused link keeps its own settings`
+    };
+  }
+
+  return {
+    isValid: true,
+    error: null,
+    value: reuseExisting
+  };
+};
+
+const validatePassthrough = (passthrough) => {
+  if (passthrough === undefined || passthrough === null) {
+    return {
+      isValid: true,
+      error: null,
+      value: null
+    };
+  }
+
+  if (typeof passthrough !== 'object' || Array.isArray(passthrough)) {
+    return {
+      isValid: false,
+      error: 'Passthrough must be an object such as { "query": true, "path": false }'
+    };
+  }
+
+  const { query = false, path = false, queryConflict = 'destination' } = passthrough;
+
+  if (typeof query !== 'boolean' || typeof path !== 'boolean') {
+    return {
+      isValid: false,
+      error: 'Passthrough "query" and "path" must be booleans'
+    };
+  }
+
+  if (!QUERY_CONFLICT_POLICIES.includes(queryConflict)) {
+    return {
+      isValid: false,
+      error: `Passthrough "queryConflict" must be one of: ${QUERY_CONFLICT_POLICIES.join(', ')}`
+    };
+  }
+
+  return {
+    isValid: true,
+    error: null,
+    value: query || path ? { query, path, queryConflict } : null
+  };
+};
+
+const validateDomain = (domain) => {
+  if (domain === undefined || domain === null || domain === '') {
     return {
       isValid: true,
       error: null,
-      value: 30
+      value: domainService.getDefaultDomain()
     };
   }
 
-  if (!Number.isInteger(validity)) {
+  const match = typeof domain === 'string' ? domainService.findDomain(domain) : null;
+  if (!match) {
     return {
       isValid: false,
-      error: 'Validity must be an integer'
+      error: `Domain must be one of: ${domainService.listDomains().map(entry => entry.domain).join(', ')}`
     };
   }
 
+  return {
+    isValid: true,
+    error: null,
+    value: match.domain
+  };
+};
+
+/**
+ * Validates the options of the QR code endpoint. `acceptedFormat` is the
+ * format negotiated from the Accept header and is used when the query does
+ * not name one.
+ */
+const validateQrQuery = (query, acceptedFormat) => {
+  const { format = acceptedFormat || 'png', size, margin, ecc = 'M' } = query;
+  const value = { format, size: 256, margin: 4, errorCorrectionLevel: ecc };
+
+  if (!['png', 'svg'].includes(format)) {
+    return {
+      isValid: false,
+      error: 'Format must be either "png" or "svg"'
+    };
+  }
+
+  if (size !== undefined) {
+    if (!/^\d+$/.test(size) || Number(size) < 64 || Number(size) > 2048) {
+      return {
+        isValid: false,
+        error: 'Size must be an integer between 64 and 2048 pixels'
+      };
+    }
+    value.size = Number(size);
+  }
+
+  if (margin !== undefined) {
+    if (!/^\d+$/.test(margin) || Number(margin) > 16) {
+      return {
+        isValid: false,
+        error: 'Margin must be an integer between 0 and 16'
+      };
+    }
+    value.margin = Number(margin);
+  }
 
-  if (validity < 1 || validity > 43200) {
+  if (!['L', 'M', 'Q', 'H'].includes(ecc)) {
     return {
       isValid: false,
-      error: 'Validity must be between 1 and 43200 minutes (30 days)'
+      error: 'Error correction level (ecc) must be one of: L, M, Q, H'
     };
   }
 
   return {
     isValid: true,
     error: null,
-    value: validity
+    value
+  };
+};
+
+// Webhook targets may live on internal hosts such as localhost, so unlike
+// validateUrl this does not insist on a dotted domain name.
+const validateWebhook = ({ url, events, secret }) => {
+  let target;
+  try {
+    target = typeof url === 'string' ? new URL(url) : null;
+  } catch (error) {
+    target = null;
+  }
+
+  if (!target || !['http:', 'https:'].includes(target.protocol)) {
+    return {
+      isValid: false,
+      error: 'Webhook URL must be a valid http:// or https:// URL'
+    };
+  }
+
+  if (!Array.isArray(events) || events.length === 0) {
+    return {
+      isValid: false,
+      error: `Events must be a non-empty array of: ${WEBHOOK_EVENTS.join(', ')}`
+    };
+  }
+
+  const unknownEvent = events.find(event => !WEBHOOK_EVENTS.includes(event));
+  if (unknownEvent !== undefined) {
+    return {
+      isValid: false,
+      error: `Unknown event "${unknownEvent}". Supported events: ${WEBHOOK_EVENTS.join(', ')}`
+    };
+  }
+
+  if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16 || secret.length > 128)) {
+    return {
+      isValid: false,
+      error: 'Secret must be a string between 16 and 128 characters long'
+    };
+  }
+
+  return {
+    isValid: true,
+    error: null,
+    value: { url: target.toString(), events: [...new Set(events)], secret }
+  };
+};
+
+const validateDeliveriesQuery = (query) => {
+  const { limit, status } = query;
+  const value = { limit: 50, status: null };
+
+  if (limit !== undefined) {
+    if (!/^\d+$/.test(limit) || Number(limit) < 1 || Number(limit) > 100) {
+      return {
+        isValid: false,
+        error: 'Limit must be an integer between 1 and 100'
+      };
+    }
+    value.limit = Number(limit);
+  }
+
+  if (status !== undefined) {
+    if (!['pending', 'succeeded', 'failed'].includes(status)) {
+      return {
+        isValid: false,
+        error: 'Status must be one of: pending, succeeded, failed'
+      };
+    }
+    value.status = status;
+  }
+
+  return {
+    isValid: true,
+    error: null,
+    value
   };
 };
 
 module.exports = {
   validateShortcode,
+  validateShortcodeOptions,
   validateUrl,
-  validateValidity
+  validateValidity,
+  validateActivatesAt,
+  validateMaxClicks,
+  validatePassword,
+  validateBatch,
+  validateRules,
+  validateVariants,
+  validateUtm,
+  validateRedirect,
+  validateRedirectCaching,
+  validatePreview,
+  validateReuseExisting,
+  validatePassthrough,
+  validateDomain,
+  validateListQuery,
+  validateAnalyticsQuery,
+  validateClicksQuery,
+  validateQrQuery,
+  validateWebhook,
+  validateDeliveriesQuery
 };
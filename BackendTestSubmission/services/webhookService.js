@@ -0,0 +1,235 @@
+const crypto = require('crypto');
+const { nanoid } = require('nanoid');
+
+const {
+  logWebhookDelivery,
+  logError
+} = require('../../LoggingMiddleware');
+
+const config = require('../config');
+const httpClient = require('./httpClient');
+const { getStorage } = require('./storage');
+
+const webhookStorage = getStorage('webhooks');
+const deliveryStorage = getStorage('webhookDeliveries');
+
+const WEBHOOK_EVENTS = ['url.created', 'url.clicked', 'url.expired', 'url.deleted'];
+const TEST_EVENT = 'webhook.test';
+
+const retryTimers = new Map();
+
+const toPublicRecord = ({ secret, ...record }) => record;
+
+const createWebhook = ({ owner, url, events, secret }) => {
+  const record = {
+    id: nanoid(12),
+    owner,
+    url,
+    events,
+    secret: secret || `whsec_${crypto.randomBytes(24).toString('base64url')}`,
+    createdAt: new Date().toISOString()
+  };
+
+  webhookStorage.set(record.id, record);
+
+  // The secret is only revealed here; receivers need it to verify signatures.
+  return record;
+};
+
+const getWebhook = (id) => {
+  const record = webhookStorage.get(id);
+  return record ? toPublicRecord(record) : null;
+};
+
+const listWebhooks = (owner) => {
+  return webhookStorage.values()
+    .filter(record => record.owner === owner)
+    .map(toPublicRecord);
+};
+
+const deleteWebhook = (id) => {
+  if (!webhookStorage.has(id)) {
+    return false;
+  }
+
+  webhookStorage.delete(id);
+  deliveryStorage.values()
+    .filter(delivery => delivery.webhookId === id)
+    .forEach(delivery => {
+      clearTimeout(retryTimers.get(delivery.id));
+      retryTimers.delete(delivery.id);
+      deliveryStorage.delete(delivery.id);
+    });
+  return true;
+};
+
+/**
+ * Signs `${timestamp}.${body}` so a receiver can reject both tampered and
+ * replayed payloads.
+ */
+const signPayload = (secret, timestamp, body) => {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+};
+
+const listDeliveries = (webhookId, { status, limit }) => {
+  return deliveryStorage.values()
+    .filter(delivery => delivery.webhookId === webhookId && (!status || delivery.status === status))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, limit);
+};
+
+// Keeps the delivery log bounded by dropping the oldest finished deliveries.
+const pruneDeliveries = (webhookId) => {
+  const finished = deliveryStorage.values()
+    .filter(delivery => delivery.webhookId === webhookId && delivery.status !== 'pending')
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+  finished.slice(config.webhooks.deliveryLogSize).forEach(delivery => {
+    deliveryStorage.delete(delivery.id);
+  });
+};
+
+const scheduleAttempt = (deliveryId, delayMs) => {
+  const timer = setTimeout(() => {
+    retryTimers.delete(deliveryId);
+    attemptDelivery(deliveryId).catch(error => logError('Webhook delivery crashed', error, { deliveryId }));
+  }, delayMs);
+  timer.unref();
+  retryTimers.set(deliveryId, timer);
+};
+
+const attemptDelivery = async (deliveryId) => {
+  const delivery = deliveryStorage.get(deliveryId);
+  if (!delivery || delivery.status !== 'pending') return;
+
+  const webhook = webhookStorage.get(delivery.webhookId);
+  if (!webhook) {
+    deliveryStorage.delete(deliveryId);
+    return;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const attempt = { attemptedAt: new Date().toISOString(), statusCode: null, durationMs: null, error: null };
+
+  try {
+    const response = await httpClient.request(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        'User-Agent': 'URL-Shortener-Webhooks/1.0',
+        'X-Webhook-Id': webhook.id,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': delivery.id,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body)
+      },
+      body,
+      timeoutMs: config.webhooks.timeoutMs
+    });
+    attempt.statusCode = response.statusCode;
+    attempt.durationMs = response.durationMs;
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+      attempt.error = `Receiver responded with ${response.statusCode}`;
+    }
+  } catch (error) {
+    attempt.error = error.message;
+  }
+
+  // The webhook may have been removed while the request was in flight.
+  if (!webhookStorage.has(webhook.id)) return;
+
+  delivery.attempts.push(attempt);
+
+  if (!attempt.error) {
+    delivery.status = 'succeeded';
+    delivery.nextAttemptAt = null;
+    delivery.completedAt = attempt.attemptedAt;
+  } else if (delivery.attempts.length >= config.webhooks.maxAttempts) {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = null;
+    delivery.completedAt = attempt.attemptedAt;
+  } else {
+    const delayMs = config.webhooks.retryBaseDelayMs * 2 ** (delivery.attempts.length - 1);
+    delivery.nextAttemptAt = new Date(Date.now() + delayMs).toISOString();
+    scheduleAttempt(delivery.id, delayMs);
+  }
+
+  deliveryStorage.set(delivery.id, delivery);
+  logWebhookDelivery(webhook.id, delivery.id, delivery.event, delivery.status, {
+    attempt: delivery.attempts.length,
+    statusCode: attempt.statusCode,
+    error: attempt.error
+  });
+
+  if (delivery.status !== 'pending') {
+    pruneDeliveries(webhook.id);
+  }
+};
+
+const enqueueDelivery = (webhook, event, data) => {
+  const id = nanoid(16);
+  const createdAt = new Date().toISOString();
+  const delivery = {
+    id,
+    webhookId: webhook.id,
+    event,
+    payload: { id, event, createdAt, data },
+    status: 'pending',
+    attempts: [],
+    createdAt,
+    nextAttemptAt: createdAt,
+    completedAt: null
+  };
+
+  deliveryStorage.set(delivery.id, delivery);
+  scheduleAttempt(delivery.id, 0);
+  return delivery;
+};
+
+/**
+ * Queues a delivery of `event` to every webhook `owner` subscribed to it.
+ * Deliveries run in the background, so callers never wait on receivers.
+ */
+const dispatchEvent = (event, owner, data) => {
+  webhookStorage.values()
+    .filter(webhook => webhook.owner === owner && webhook.events.includes(event))
+    .forEach(webhook => enqueueDelivery(webhook, event, data));
+};
+
+const sendTestEvent = (id) => {
+  const webhook = webhookStorage.get(id);
+  return enqueueDelivery(webhook, TEST_EVENT, { webhookId: id });
+};
+
+// Picks up deliveries that were still pending when the process last stopped.
+const resumePendingDeliveries = () => {
+  const now = Date.now();
+  deliveryStorage.values()
+    .filter(delivery => delivery.status === 'pending' && !retryTimers.has(delivery.id))
+    .forEach(delivery => {
+      scheduleAttempt(delivery.id, Math.max(new Date(delivery.nextAttemptAt).getTime() - now, 0));
+    });
+};
+
+const stopWebhookDeliveries = () => {
+  for (const timer of retryTimers.values()) {
+    clearTimeout(timer);
+  }
+  retryTimers.clear();
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  createWebhook,
+  getWebhook,
+  listWebhooks,
+  deleteWebhook,
+  listDeliveries,
+  signPayload,
+  dispatchEvent,
+  sendTestEvent,
+  resumePendingDeliveries,
+  stopWebhookDeliveries
+};
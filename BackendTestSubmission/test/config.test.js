@@ -0,0 +1,67 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { LIMITS } = require('shared-validation');
+
+const { startApp, createApiKey, request } = require('./helpers');
+const config = require('../config');
+
+let app;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(() => app.close());
+
+test('the validation config reports the shared limits and this server\'s rules', async () => {
+  const response = await request(app.baseUrl, '/config/validation');
+  const body = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(body.validity, LIMITS.validity);
+  assert.deepEqual(body.maxClicks, LIMITS.maxClicks);
+  assert.deepEqual(body.utm, LIMITS.utm);
+  assert.deepEqual(body.redirect, LIMITS.redirect);
+  assert.deepEqual(body.shortcode, {
+    ...LIMITS.shortcode,
+    caseInsensitive: config.shortcodes.caseInsensitive,
+    reservedWords: config.shortcodes.reservedWords
+  });
+  assert.deepEqual(body.batch, { maxItems: config.batch.maxItems });
+});
+
+test('the shortcode rules are only served as part of the validation config', async () => {
+  const response = await request(app.baseUrl, '/config/shortcodes');
+  assert.equal(response.status, 404);
+});
+
+test('the API rejects form-style numbers the frontend would reject too', async () => {
+  const apiKey = createApiKey();
+  const response = await request(app.baseUrl, '/shorturls', {
+    method: 'POST',
+    apiKey,
+    json: { url: 'https://example.com/', validity: '12abc' }
+  });
+
+  assert.equal(response.status, 400);
+  assert.equal((await response.json()).message, 'Validity must be an integer');
+});
+
+test('configured reserved words are added to the route names', () => {
+  const configPath = require.resolve('../config');
+  const loaded = require.cache[configPath];
+  const previous = process.env.SHORTCODE_RESERVED_WORDS;
+  process.env.SHORTCODE_RESERVED_WORDS = 'Promo, api';
+  delete require.cache[configPath];
+
+  try {
+    const { reservedWords } = require('../config').shortcodes;
+    assert.deepEqual(reservedWords, [
+      'api', 'admin', 'www', 'shorturls', 'health', 'stats', 'webhooks', 'domains', 'config', 'promo'
+    ]);
+  } finally {
+    if (previous === undefined) delete process.env.SHORTCODE_RESERVED_WORDS;
+    else process.env.SHORTCODE_RESERVED_WORDS = previous;
+    require.cache[configPath] = loaded;
+  }
+});
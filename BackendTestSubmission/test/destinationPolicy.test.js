@@ -0,0 +1,44 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startApp, createApiKey, request } = require('./helpers');
+const { checkDestination } = require('../services/destinationPolicyService');
+
+let app;
+let apiKey;
+
+before(async () => {
+  app = await startApp();
+  apiKey = createApiKey();
+});
+
+after(() => app.close());
+
+test('destinations on non-public addresses are rejected', () => {
+  const addresses = [
+    '10.1.2.3', '127.0.0.1', '192.0.0.8', '198.18.0.1', '198.19.255.254', '224.0.0.251',
+    '240.0.0.1', '255.255.255.255', '[::1]', '[ff02::1]', '[::ffff:127.0.0.1]'
+  ];
+
+  for (const address of addresses) {
+    const result = checkDestination(`http://${address}/`);
+    assert.equal(result.isAllowed, false, address);
+    assert.equal(result.reason, 'PRIVATE_ADDRESS', address);
+  }
+});
+
+test('public addresses next to the rejected ranges are allowed', () => {
+  const addresses = ['8.8.8.8', '192.0.1.1', '198.17.255.254', '198.20.0.1', '223.255.255.254', '[2001:db8::1]', '[::ffff:8.8.8.8]'];
+
+  for (const address of addresses) {
+    assert.equal(checkDestination(`http://${address}/`).isAllowed, true, address);
+  }
+});
+
+test('creating a link to a reserved address is a validation error', async () => {
+  const rejected = await request(app.baseUrl, '/shorturls', { method: 'POST', apiKey, json: { url: 'http://198.18.0.1/' } });
+  assert.equal(rejected.status, 400);
+
+  const accepted = await request(app.baseUrl, '/shorturls', { method: 'POST', apiKey, json: { url: 'http://198.20.0.1/' } });
+  assert.equal(accepted.status, 201);
+});
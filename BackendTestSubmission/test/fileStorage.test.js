@@ -0,0 +1,76 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+require('./helpers');
+const createFileStorage = require('../services/storage/fileStorage');
+
+let dataDir;
+const open = () => createFileStorage('links', { dataDir, flushDelayMs: 10 });
+const journal = () => fs.readFileSync(path.join(dataDir, 'links.journal'), 'utf8');
+
+beforeEach(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-storage-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('changes are appended per record and survive a restart', async () => {
+  const store = open();
+  store.set('a', { clicks: [1] });
+  store.set('b', { clicks: [] });
+  await store.flush();
+
+  store.set('a', { clicks: [1, 2] });
+  store.delete('b');
+  await store.close();
+
+  assert.deepEqual(journal().trim().split('\n').map(line => JSON.parse(line)), [
+    { key: 'a', value: { clicks: [1] } },
+    { key: 'b', value: { clicks: [] } },
+    { key: 'a', value: { clicks: [1, 2] } },
+    { key: 'b' }
+  ]);
+
+  const reopened = open();
+  assert.deepEqual(reopened.entries(), [['a', { clicks: [1, 2] }]]);
+  assert.equal(journal(), '');
+});
+
+test('a record changed many times before a flush is written once', async () => {
+  const store = open();
+  for (let click = 1; click <= 50; click += 1) {
+    store.set('a', { clicks: click });
+  }
+  await store.flush();
+
+  assert.equal(journal(), '{"key":"a","value":{"clicks":50}}\n');
+});
+
+test('clearing is journaled before the changes that follow it', async () => {
+  const store = open();
+  store.set('a', 1);
+  await store.flush();
+  store.clear();
+  store.set('b', 2);
+  await store.close();
+
+  assert.deepEqual(open().entries(), [['b', 2]]);
+});
+
+test('a journal line cut short by a crash is skipped', () => {
+  fs.writeFileSync(path.join(dataDir, 'links.json'), JSON.stringify({ a: 1 }));
+  fs.writeFileSync(path.join(dataDir, 'links.journal'), '{"key":"b","value":2}\n{"key":"c","val');
+
+  assert.deepEqual(open().entries(), [['a', 1], ['b', 2]]);
+});
+
+test('snapshots written by earlier versions still load', () => {
+  fs.writeFileSync(path.join(dataDir, 'links.json'), JSON.stringify({ a: { clicks: [] } }));
+
+  assert.deepEqual(open().get('a'), { clicks: [] });
+});
@@ -0,0 +1,146 @@
+process.env.ALLOW_PRIVATE_DESTINATIONS = 'true';
+process.env.HEALTH_CHECK_TIMEOUT_MS = '200';
+process.env.HEALTH_BROKEN_AFTER_FAILURES = '3';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { listen, startApp, createApiKey, request } = require('./helpers');
+const { createStandIn } = require('../scripts/destinationStandIn');
+const config = require('../config');
+const urlService = require('../services/urlService');
+const httpClient = require('../services/httpClient');
+const { isAllowedAddress } = require('../services/destinationPolicyService');
+const { checkLink, runHealthCheck } = require('../services/healthMonitor');
+
+let app;
+let standIn;
+let apiKey;
+let linkCount = 0;
+
+before(async () => {
+  app = await startApp();
+  apiKey = createApiKey();
+
+  const handler = createStandIn({ log: () => {} });
+  standIn = { ...await listen(handler.handleRequest), requests: handler.requests };
+});
+
+after(async () => {
+  await standIn.close();
+  await app.close();
+});
+
+const createLink = async (path) => {
+  linkCount += 1;
+  const shortcode = `health${linkCount}`;
+  const response = await request(app.baseUrl, '/shorturls', {
+    method: 'POST',
+    apiKey,
+    json: { url: `${standIn.baseUrl}${path}`, shortcode }
+  });
+  assert.equal(response.status, 201);
+  return shortcode;
+};
+
+const check = (shortcode) => checkLink(urlService.getUrl(shortcode));
+
+const requestsTo = (path) => standIn.requests.filter(entry => entry.url === path);
+
+test('records the status code of each check', async () => {
+  const healthy = await check(await createLink('/ok'));
+  assert.equal(healthy.status, 'healthy');
+  assert.equal(healthy.statusCode, 200);
+  assert.ok(healthy.latencyMs >= 0);
+
+  const redirected = await check(await createLink('/status/301'));
+  assert.equal(redirected.status, 'healthy');
+  assert.equal(redirected.statusCode, 301);
+
+  const missing = await check(await createLink('/status/404'));
+  assert.equal(missing.status, 'degraded');
+  assert.equal(missing.statusCode, 404);
+  assert.equal(missing.consecutiveFailures, 1);
+});
+
+test('falls back from HEAD to GET on 405 and 501', async () => {
+  for (const path of ['/no-head', '/no-head/501']) {
+    const health = await check(await createLink(path));
+    assert.equal(health.status, 'healthy', path);
+    assert.equal(health.statusCode, 200, path);
+    assert.deepEqual(requestsTo(path).map(entry => `${entry.method} ${entry.statusCode}`), [
+      `HEAD ${path === '/no-head' ? 405 : 501}`,
+      'GET 200'
+    ]);
+  }
+
+  // Other failures are taken at face value.
+  await check(await createLink('/status/503'));
+  assert.deepEqual(requestsTo('/status/503').map(entry => entry.method), ['HEAD']);
+});
+
+test('a destination that does not answer in time fails the check', async () => {
+  const health = await check(await createLink('/slow/1000'));
+
+  assert.equal(health.status, 'degraded');
+  assert.equal(health.statusCode, null);
+  assert.match(health.error, /timed out after 200ms/);
+});
+
+test('a link is degraded after a failure and broken after a streak of them', async () => {
+  const shortcode = await createLink('/status/500');
+
+  const statuses = [];
+  for (let i = 0; i < 3; i++) {
+    statuses.push((await check(shortcode)).status);
+  }
+  assert.deepEqual(statuses, ['degraded', 'degraded', 'broken']);
+
+  const { health } = urlService.getUrl(shortcode);
+  assert.equal(health.consecutiveFailures, 3);
+  assert.deepEqual(health.history.map(entry => entry.statusCode), [500, 500, 500]);
+
+  const stats = await request(app.baseUrl, `/shorturls/${shortcode}`, { apiKey });
+  assert.equal((await stats.json()).health.status, 'broken');
+});
+
+test('a successful check ends the failure streak', async () => {
+  const shortcode = await createLink('/flaky');
+
+  const statuses = [];
+  for (let i = 0; i < 3; i++) {
+    statuses.push((await check(shortcode)).status);
+  }
+  assert.deepEqual(statuses, ['healthy', 'degraded', 'healthy']);
+  assert.equal(urlService.getUrl(shortcode).health.consecutiveFailures, 0);
+});
+
+test('a run checks every active link and summarizes the results', async () => {
+  const summary = await runHealthCheck();
+  const links = urlService.getAllUrls();
+
+  assert.equal(summary.checked, links.length);
+  assert.equal(summary.healthy + summary.degraded + summary.broken, links.length);
+  assert.ok(links.every(urlEntry => urlEntry.health));
+});
+
+test('checks never connect to private addresses unless they are allowed', async (t) => {
+  const shortcode = await createLink('/ok');
+  const before = requestsTo('/ok').length;
+
+  config.destinations.allowPrivateNetworks = false;
+  t.after(() => { config.destinations.allowPrivateNetworks = true; });
+
+  const health = await check(shortcode);
+  assert.equal(health.status, 'degraded');
+  assert.match(health.error, /127\.0\.0\.1 is not allowed/);
+
+  // Hostnames are checked by the addresses they resolve to.
+  const { port } = new URL(standIn.baseUrl);
+  await assert.rejects(
+    httpClient.request(`http://localhost:${port}/ok`, { allowAddress: isAllowedAddress }),
+    /localhost resolves to .* which is not allowed/
+  );
+
+  assert.equal(requestsTo('/ok').length, before);
+});
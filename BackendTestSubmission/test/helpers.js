@@ -0,0 +1,75 @@
+// Shared setup for the backend tests. Storage is kept in memory, so every
+// test file (each runs in its own process) starts from an empty service.
+process.env.STORAGE_DRIVER = 'memory';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const http = require('http');
+const { once } = require('events');
+
+/**
+ * Listens on an ephemeral port and returns the base URL with a `close`
+ * that also drops keep-alive connections, so the test process can exit.
+ */
+const listen = async (handler) => {
+  const server = http.createServer(handler);
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+
+  return {
+    server,
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise((resolve) => {
+      server.close(resolve);
+      server.closeAllConnections();
+    })
+  };
+};
+
+const startApp = () => listen(require('../server'));
+
+const createApiKey = (owner = 'tester') => {
+  return require('../services/apiKeyService').createApiKey(owner).key;
+};
+
+// Redirects are part of what the tests check, so they are never followed.
+const request = (baseUrl, path, { apiKey, json, form, headers = {}, ...options } = {}) => {
+  const requestHeaders = { ...headers };
+  let body;
+
+  if (apiKey) {
+    requestHeaders['X-API-Key'] = apiKey;
+  }
+  if (json !== undefined) {
+    requestHeaders['Content-Type'] = 'application/json';
+    body = JSON.stringify(json);
+  }
+  if (form !== undefined) {
+    body = new URLSearchParams(form);
+  }
+
+  return fetch(`${baseUrl}${path}`, { redirect: 'manual', ...options, headers: requestHeaders, body });
+};
+
+// Polls `check` until it returns something truthy, for work done in the
+// background such as webhook deliveries.
+const waitFor = async (check, { timeoutMs = 5000, intervalMs = 20 } = {}) => {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const result = await check();
+    if (result) {
+      return result;
+    }
+    if (Date.now() > deadline) {
+      throw new Error(`Condition not met within ${timeoutMs}ms`);
+    }
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+};
+
+module.exports = {
+  listen,
+  startApp,
+  createApiKey,
+  request,
+  waitFor
+};
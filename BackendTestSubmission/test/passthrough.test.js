@@ -0,0 +1,42 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startApp, createApiKey, request } = require('./helpers');
+const { hasDotSegment } = require('../services/passthroughService');
+
+let app;
+
+before(async () => {
+  app = await startApp();
+
+  const response = await request(app.baseUrl, '/shorturls', {
+    method: 'POST',
+    apiKey: createApiKey(),
+    json: { url: 'https://example.com/docs', shortcode: 'pass1', passthrough: { path: true } }
+  });
+  assert.equal(response.status, 201);
+});
+
+after(() => app.close());
+
+test('encoded dot segments count as dot segments', () => {
+  for (const path of ['..', './a', 'a/..', '%2e%2e/a', '%2E%2e', '..%2fa', '.%2F..', '..%5ca', '%252e%252e%252fa', 'a\\..']) {
+    assert.equal(hasDotSegment(path), true, path);
+  }
+});
+
+test('paths that merely contain dots are allowed', () => {
+  for (const path of ['guide/intro', 'v1.2/notes', '...', 'a..b', '%2e%2e%2e', 'file.txt']) {
+    assert.equal(hasDotSegment(path), false, path);
+  }
+});
+
+test('appended paths with encoded dot segments are rejected', async () => {
+  for (const rest of ['..%2fadmin', '%2e%2e%2fadmin', '%252e%252e/admin']) {
+    const response = await request(app.baseUrl, `/pass1/${rest}`);
+    assert.equal(response.status, 400, rest);
+  }
+
+  const response = await request(app.baseUrl, '/pass1/guide/intro');
+  assert.equal(response.headers.get('location'), 'https://example.com/docs/guide/intro');
+});
@@ -0,0 +1,89 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startApp, createApiKey, request } = require('./helpers');
+
+const DESTINATION = 'https://example.com/members?tab=1';
+const HTML = { Accept: 'text/html' };
+
+let app;
+let apiKey;
+
+before(async () => {
+  app = await startApp();
+  apiKey = createApiKey();
+
+  const response = await request(app.baseUrl, '/shorturls', {
+    method: 'POST',
+    apiKey,
+    json: { url: DESTINATION, shortcode: 'locked1', password: 'hunter22' }
+  });
+  assert.equal(response.status, 201);
+});
+
+after(() => app.close());
+
+const totalClicks = async () => {
+  const response = await request(app.baseUrl, '/shorturls/locked1', { apiKey });
+  return (await response.json()).totalClicks;
+};
+
+test('browsers get the unlock form', async () => {
+  const response = await request(app.baseUrl, '/locked1', { headers: HTML });
+
+  assert.equal(response.status, 401);
+  assert.match(await response.text(), /<form method="post">/);
+});
+
+test('a wrong password shows the form again without counting a click', async () => {
+  const response = await request(app.baseUrl, '/locked1', {
+    method: 'POST',
+    headers: HTML,
+    form: { password: 'wrong-one' }
+  });
+
+  assert.equal(response.status, 401);
+  assert.match(await response.text(), /Incorrect password/);
+  assert.equal(await totalClicks(), 0);
+});
+
+test('unlocking in a browser renders a continue link instead of redirecting', async () => {
+  const response = await request(app.baseUrl, '/locked1', {
+    method: 'POST',
+    headers: HTML,
+    form: { password: 'hunter22' }
+  });
+
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('location'), null);
+  assert.equal(response.headers.get('cache-control'), 'no-store');
+  assert.match(await response.text(), /<a class="button" href="https:\/\/example\.com\/members\?tab=1"/);
+  assert.equal(await totalClicks(), 1);
+});
+
+test('API clients unlocking with a POST still get a 303', async () => {
+  const response = await request(app.baseUrl, '/locked1', {
+    method: 'POST',
+    headers: { Accept: 'application/json', 'X-Link-Password': 'hunter22' }
+  });
+
+  assert.equal(response.status, 303);
+  assert.equal(response.headers.get('location'), DESTINATION);
+});
+
+test('wrong passwords sent in parallel still run into the lockout', async () => {
+  const created = await request(app.baseUrl, '/shorturls', {
+    method: 'POST',
+    apiKey,
+    json: { url: DESTINATION, shortcode: 'locked2', password: 'hunter22' }
+  });
+  assert.equal(created.status, 201);
+
+  const responses = await Promise.all(Array.from({ length: 8 }, (_, attempt) => (
+    request(app.baseUrl, '/locked2', { headers: { 'X-Link-Password': `wrong-${attempt}` } })
+  )));
+  const statuses = responses.map(response => response.status);
+
+  assert.equal(statuses.filter(status => status === 401).length, 5);
+  assert.equal(statuses.filter(status => status === 429).length, 3);
+});
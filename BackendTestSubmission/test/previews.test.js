@@ -0,0 +1,91 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startApp, createApiKey, request } = require('./helpers');
+
+const HTML = { Accept: 'text/html' };
+
+let app;
+let apiKey;
+
+before(async () => {
+  app = await startApp();
+  apiKey = createApiKey();
+
+  for (const payload of [
+    { url: 'https://example.com/any', shortcode: 'prev1' },
+    { url: 'https://example.com/search', shortcode: 'prev2', preview: true, passthrough: { query: true } }
+  ]) {
+    const response = await request(app.baseUrl, '/shorturls', { method: 'POST', apiKey, json: payload });
+    assert.equal(response.status, 201);
+  }
+});
+
+after(() => app.close());
+
+const listClicks = async (shortcode) => {
+  const response = await request(app.baseUrl, `/shorturls/${shortcode}/clicks`, { apiKey });
+  return (await response.json()).items;
+};
+
+const CONFIRM_TOKEN = '\\d+\\.[\\w-]+';
+
+const continuePath = async (path) => {
+  const { continueLink } = await (await request(app.baseUrl, path)).json();
+  const { pathname, search } = new URL(continueLink);
+  return `${pathname}${search}`;
+};
+
+test('opening a preview does not count a click', async () => {
+  const page = await request(app.baseUrl, '/prev1+', { headers: HTML });
+  assert.equal(page.status, 200);
+  assert.match(await page.text(), new RegExp(`<a class="button" href="[^"]*/prev1\\?confirm=${CONFIRM_TOKEN}"`));
+
+  const details = await request(app.baseUrl, '/prev1+');
+  const body = await details.json();
+  assert.equal(body.destination, 'https://example.com/any');
+  assert.match(body.continueLink, new RegExp(`/prev1\\?confirm=${CONFIRM_TOKEN}$`));
+
+  assert.deepEqual(await listClicks('prev1'), []);
+});
+
+test('continuing from the preview redirects and counts the click', async () => {
+  const response = await request(app.baseUrl, await continuePath('/prev1+'));
+  assert.equal(response.status, 302);
+  assert.equal(response.headers.get('location'), 'https://example.com/any');
+
+  const clicks = await listClicks('prev1');
+  assert.equal(clicks.length, 1);
+  assert.equal(clicks[0].previewed, true);
+});
+
+test('the confirm flag is not passed on to the destination', async () => {
+  const page = await request(app.baseUrl, '/prev2?q=cats', { headers: HTML });
+  assert.equal(page.status, 200);
+  assert.match(await page.text(), new RegExp(`href="[^"]*/prev2\\?q=cats&amp;confirm=${CONFIRM_TOKEN}"`));
+  assert.deepEqual(await listClicks('prev2'), []);
+
+  const response = await request(app.baseUrl, await continuePath('/prev2?q=cats'));
+  assert.equal(response.status, 302);
+  assert.equal(response.headers.get('location'), 'https://example.com/search?q=cats');
+  assert.equal((await listClicks('prev2')).length, 1);
+});
+
+test('hand-written confirmations and POSTs still land on the preview', async () => {
+  const clicksBefore = (await listClicks('prev2')).length;
+  const token = (await continuePath('/prev2')).split('confirm=')[1];
+  const otherLinkToken = (await continuePath('/prev1+')).split('confirm=')[1];
+  const [expiresAt, signature] = token.split('.');
+
+  for (const confirm of ['1', `${Number(expiresAt) + 60}.${signature}`, `${expiresAt}.${signature.slice(1)}`, otherLinkToken]) {
+    const response = await request(app.baseUrl, `/prev2?confirm=${confirm}`);
+    assert.equal(response.status, 200, confirm);
+    assert.match((await response.json()).continueLink, new RegExp(`confirm=${CONFIRM_TOKEN}$`));
+  }
+
+  const posted = await request(app.baseUrl, '/prev2', { method: 'POST', headers: HTML, form: {} });
+  assert.equal(posted.status, 200);
+  assert.match(await posted.text(), /You are about to leave for/);
+
+  assert.equal((await listClicks('prev2')).length, clicksBefore);
+});
@@ -0,0 +1,74 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startApp, createApiKey, request } = require('./helpers');
+
+let app;
+let apiKey;
+
+before(async () => {
+  app = await startApp();
+  apiKey = createApiKey();
+});
+
+after(() => app.close());
+
+const createLink = (payload) => request(app.baseUrl, '/shorturls', { method: 'POST', apiKey, json: payload });
+const updateLink = (shortcode, payload) => request(app.baseUrl, `/shorturls/${shortcode}`, { method: 'PATCH', apiKey, json: payload });
+
+test('plain permanent redirects are cached', async () => {
+  await createLink({ url: 'https://example.com/plain', shortcode: 'cache1', validity: 1440, redirect: { status: 301, cacheMaxAge: 3600 } });
+
+  const response = await request(app.baseUrl, '/cache1');
+  assert.equal(response.status, 301);
+  assert.equal(response.headers.get('cache-control'), 'private, max-age=3600');
+});
+
+test('links with a click limit, rules, variants or passthrough are never cached', async () => {
+  const payloads = [
+    { maxClicks: 10 },
+    { rules: [{ when: { country: 'DE' }, url: 'https://example.de/' }] },
+    { variants: [{ url: 'https://example.com/a', weight: 1 }, { url: 'https://example.com/b', weight: 1 }] },
+    { passthrough: { query: true } }
+  ];
+
+  for (const [index, payload] of payloads.entries()) {
+    const shortcode = `nocache${index}`;
+    const created = await createLink({ url: 'https://example.com/', shortcode, redirect: { status: 301 }, ...payload });
+    assert.equal(created.status, 201, JSON.stringify(payload));
+
+    const response = await request(app.baseUrl, `/${shortcode}`);
+    assert.equal(response.status, 301);
+    assert.equal(response.headers.get('cache-control'), 'no-store', JSON.stringify(payload));
+  }
+});
+
+test('password-protected links are never cached', async () => {
+  await createLink({ url: 'https://example.com/secret', shortcode: 'nocache9', password: 'hunter22', redirect: { status: 308 } });
+
+  const response = await request(app.baseUrl, '/nocache9', { headers: { 'X-Link-Password': 'hunter22' } });
+  assert.equal(response.status, 308);
+  assert.equal(response.headers.get('cache-control'), 'no-store');
+});
+
+test('a positive cacheMaxAge is rejected for links that must not be cached', async () => {
+  const response = await createLink({ url: 'https://example.com/', maxClicks: 5, redirect: { status: 301, cacheMaxAge: 600 } });
+  assert.equal(response.status, 400);
+  assert.match((await response.json()).message, /cacheMaxAge must be 0 or null/);
+
+  const uncached = await createLink({ url: 'https://example.com/', maxClicks: 5, redirect: { status: 301, cacheMaxAge: 0 } });
+  assert.equal(uncached.status, 201);
+});
+
+test('updates are checked against the settings the link keeps', async () => {
+  await createLink({ url: 'https://example.com/later', shortcode: 'cache2', redirect: { status: 301, cacheMaxAge: 600 } });
+
+  const withPassword = await updateLink('cache2', { password: 'hunter22' });
+  assert.equal(withPassword.status, 400);
+
+  const withCachingOff = await updateLink('cache2', { password: 'hunter22', redirect: { status: 301, cacheMaxAge: null } });
+  assert.equal(withCachingOff.status, 200);
+
+  const withCachingBack = await updateLink('cache2', { redirect: { status: 301, cacheMaxAge: 600 } });
+  assert.equal(withCachingBack.status, 400);
+});
@@ -0,0 +1,55 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startApp, createApiKey, request } = require('./helpers');
+
+let app;
+let apiKey;
+
+before(async () => {
+  app = await startApp();
+  apiKey = createApiKey();
+});
+
+after(() => app.close());
+
+test('rule destinations are stored and redirected to without surrounding spaces', async () => {
+  const created = await request(app.baseUrl, '/shorturls', {
+    method: 'POST',
+    apiKey,
+    json: {
+      url: 'https://example.com/',
+      shortcode: 'rules1',
+      rules: [{ when: { device: 'desktop' }, url: '  https://example.com/desktop  ' }]
+    }
+  });
+  assert.equal(created.status, 201);
+
+  const stats = await (await request(app.baseUrl, '/shorturls/rules1', { apiKey })).json();
+  assert.equal(stats.rules[0].url, 'https://example.com/desktop');
+
+  const response = await request(app.baseUrl, '/rules1');
+  assert.equal(response.status, 302);
+  assert.equal(response.headers.get('location'), 'https://example.com/desktop');
+});
+
+test('rule and variant destinations carry the link\'s UTM parameters', async () => {
+  const utm = { source: 'newsletter', campaign: 'spring' };
+  for (const json of [
+    { shortcode: 'rules2', rules: [{ when: { device: 'desktop' }, url: 'https://example.com/desktop?utm_source=old' }] },
+    { shortcode: 'rules3', variants: [{ id: 'a', url: 'https://example.com/a', weight: 1 }, { id: 'b', url: 'https://example.com/b', weight: 1 }] }
+  ]) {
+    const created = await request(app.baseUrl, '/shorturls', {
+      method: 'POST',
+      apiKey,
+      json: { url: 'https://example.com/', utm, ...json }
+    });
+    assert.equal(created.status, 201);
+  }
+
+  const ruleVisit = await request(app.baseUrl, '/rules2');
+  assert.equal(ruleVisit.headers.get('location'), 'https://example.com/desktop?utm_source=newsletter&utm_campaign=spring');
+
+  const variantVisit = await request(app.baseUrl, '/rules3', { headers: { Cookie: 'sv_rules3=b' } });
+  assert.equal(variantVisit.headers.get('location'), 'https://example.com/b?utm_source=newsletter&utm_campaign=spring');
+});
@@ -0,0 +1,102 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startApp, createApiKey, request } = require('./helpers');
+
+let app;
+let apiKey;
+
+before(async () => {
+  app = await startApp();
+  apiKey = createApiKey();
+
+  const response = await createLink({ url: 'https://example.com/docs?a=1&b=2', shortcode: 'reuse1' });
+  assert.equal(response.status, 201);
+});
+
+after(() => app.close());
+
+const createLink = (payload) => request(app.baseUrl, '/shorturls', { method: 'POST', apiKey, json: payload });
+
+test('an equivalent destination reuses the existing link', async () => {
+  const response = await createLink({ url: 'https://Example.com:443/docs/?b=2&a=1', reuseExisting: true });
+  const body = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.equal(body.reused, true);
+  assert.match(body.shortLink, /\/reuse1$/);
+});
+
+test('reuseExisting cannot be combined with settings the reused link would not have', async () => {
+  const settings = {
+    password: 'hunter22',
+    validity: 60,
+    maxClicks: 3,
+    activatesAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+    rules: [{ when: { country: 'DE' }, url: 'https://example.de/' }],
+    variants: [{ url: 'https://example.com/a', weight: 1 }, { url: 'https://example.com/b', weight: 1 }],
+    passthrough: { query: true },
+    redirect: { status: 301 },
+    preview: true
+  };
+
+  for (const [field, value] of Object.entries(settings)) {
+    const response = await createLink({ url: 'https://example.com/docs?a=1&b=2', reuseExisting: true, [field]: value });
+    assert.equal(response.status, 400, field);
+    assert.match((await response.json()).message, new RegExp(`reuseExisting cannot be combined with "${field}"`));
+  }
+});
+
+test('batch items are held to the same rule', async () => {
+  const response = await request(app.baseUrl, '/shorturls/batch', {
+    method: 'POST',
+    apiKey,
+    json: {
+      items: [
+        { url: 'https://example.com/docs?a=1&b=2', reuseExisting: true },
+        { url: 'https://example.com/docs?a=1&b=2', reuseExisting: true, maxClicks: 3 }
+      ]
+    }
+  });
+  const body = await response.json();
+
+  assert.deepEqual(body.results.map(result => result.status), [200, 400]);
+});
+
+test('links with settings of their own are not reused', async () => {
+  const url = 'https://example.com/settings';
+  const settings = {
+    password: 'hunter22',
+    maxClicks: 3,
+    activatesAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+    rules: [{ when: { country: 'DE' }, url: 'https://example.de/' }],
+    variants: [{ url: 'https://example.com/a', weight: 1 }, { url: 'https://example.com/b', weight: 1 }],
+    passthrough: { query: true },
+    redirect: { status: 301 },
+    preview: true
+  };
+  for (const [field, value] of Object.entries(settings)) {
+    const response = await createLink({ url, [field]: value });
+    assert.equal(response.status, 201, field);
+  }
+
+  const response = await createLink({ url, reuseExisting: true });
+  const body = await response.json();
+
+  assert.equal(response.status, 201);
+  assert.equal(body.reused, undefined);
+});
+
+test('identical batch items share the link created for the first of them', async () => {
+  const item = { url: 'https://example.com/batch-new', reuseExisting: true };
+  const response = await request(app.baseUrl, '/shorturls/batch', {
+    method: 'POST',
+    apiKey,
+    json: { items: [item, item, { url: item.url, reuseExisting: true, shortcode: 'batch1' }] }
+  });
+  const { results } = await response.json();
+
+  assert.deepEqual(results.map(result => result.status), [201, 200, 201]);
+  assert.equal(results[1].shortLink, results[0].shortLink);
+  assert.match(results[2].shortLink, /\/batch1$/);
+});
@@ -0,0 +1,28 @@
+require('./helpers');
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getStorage } = require('../services/storage');
+const { generateShortcode } = require('../services/shortcodeService');
+
+const BASE62 = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+const sequential = (options) => generateShortcode({ strategy: 'sequential', ...options });
+
+test('each length and alphabet counts on its own', () => {
+  assert.deepEqual([sequential({ length: 4 }), sequential({ length: 4 })], ['0000', '0001']);
+  assert.equal(sequential({ length: 6 }), '000000');
+  assert.deepEqual(
+    [sequential({ length: 4, excludeLookalikes: true }), sequential({ length: 4, excludeLookalikes: true })],
+    ['2222', '2223']
+  );
+  assert.equal(sequential({ length: 4 }), '0002');
+});
+
+test('a length whose codes are all used up stops generating', () => {
+  getStorage('counters').set(`shortcodeSequence:${BASE62}:4`, 62 ** 4);
+
+  assert.equal(sequential({ length: 4 }), null);
+  assert.equal(sequential({ length: 6 }), '000001');
+});
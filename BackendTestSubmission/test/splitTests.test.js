@@ -0,0 +1,65 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startApp, createApiKey, request } = require('./helpers');
+
+const VARIANTS = [
+  { id: 'a', url: 'https://example.com/a', weight: 1 },
+  { id: 'b', url: 'https://example.com/b', weight: 1 }
+];
+
+let app;
+let apiKey;
+
+before(async () => {
+  app = await startApp();
+  apiKey = createApiKey();
+
+  const response = await request(app.baseUrl, '/shorturls', {
+    method: 'POST',
+    apiKey,
+    json: { url: 'https://example.com/', shortcode: 'split1', variants: VARIANTS }
+  });
+  assert.equal(response.status, 201);
+});
+
+after(() => app.close());
+
+test('the sticky variant cookie is named after the link and scoped to the whole site', async () => {
+  const response = await request(app.baseUrl, '/split1');
+  const [cookie] = response.headers.getSetCookie();
+
+  assert.equal(response.status, 302);
+  assert.match(cookie, /^sv_split1=(a|b);/);
+  assert.match(cookie, /; Path=\/;/);
+  assert.match(cookie, /; HttpOnly/);
+});
+
+test('visitors holding the cookie keep their variant', async () => {
+  for (const variant of VARIANTS) {
+    const response = await request(app.baseUrl, '/split1', { headers: { Cookie: `sv_split1=${variant.id}` } });
+    assert.equal(response.headers.get('location'), variant.url);
+  }
+});
+
+test('variant destinations are stored and redirected to without surrounding spaces', async () => {
+  const created = await request(app.baseUrl, '/shorturls', {
+    method: 'POST',
+    apiKey,
+    json: {
+      url: 'https://example.com/',
+      shortcode: 'split2',
+      variants: [
+        { id: 'a', url: ' https://example.com/a ', weight: 1 },
+        { id: 'b', url: '\thttps://example.com/b', weight: 1 }
+      ]
+    }
+  });
+  assert.equal(created.status, 201);
+
+  const stats = await (await request(app.baseUrl, '/shorturls/split2', { apiKey })).json();
+  assert.deepEqual(stats.variants.map(variant => variant.url), ['https://example.com/a', 'https://example.com/b']);
+
+  const response = await request(app.baseUrl, '/split2', { headers: { Cookie: 'sv_split2=a' } });
+  assert.equal(response.headers.get('location'), 'https://example.com/a');
+});
@@ -0,0 +1,137 @@
+process.env.WEBHOOK_RETRY_BASE_MS = '50';
+process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+
+const crypto = require('crypto');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { listen, startApp, createApiKey, request, waitFor } = require('./helpers');
+const { createReceiver } = require('../scripts/webhookReceiver');
+
+const SECRET = 'whsec_test_secret_0123456789';
+
+let app;
+let apiKey;
+const receivers = [];
+
+before(async () => {
+  app = await startApp();
+  apiKey = createApiKey();
+});
+
+after(async () => {
+  await Promise.all(receivers.map(receiver => receiver.close()));
+  await app.close();
+});
+
+const startReceiver = async (options) => {
+  const receiver = createReceiver({ log: () => {}, ...options });
+  const running = await listen(receiver.handleRequest);
+  receivers.push(running);
+  return { ...running, deliveries: receiver.deliveries };
+};
+
+const createWebhook = async (url, secret = SECRET) => {
+  const response = await request(app.baseUrl, '/webhooks', {
+    method: 'POST',
+    apiKey,
+    json: { url, events: ['url.created'], secret }
+  });
+  assert.equal(response.status, 201);
+  return response.json();
+};
+
+const listDeliveries = async (webhookId, query = '') => {
+  const response = await request(app.baseUrl, `/webhooks/${webhookId}/deliveries${query}`, { apiKey });
+  assert.equal(response.status, 200);
+  return (await response.json()).items;
+};
+
+const waitForFinishedDelivery = (webhookId) => waitFor(async () => {
+  const [delivery] = await listDeliveries(webhookId);
+  return delivery && delivery.status !== 'pending' ? delivery : null;
+});
+
+test('deliveries carry an HMAC signature of the timestamp and body', async () => {
+  const receiver = await startReceiver({ secret: SECRET });
+  const webhook = await createWebhook(receiver.baseUrl);
+
+  const created = await request(app.baseUrl, '/shorturls', {
+    method: 'POST',
+    apiKey,
+    json: { url: 'https://example.com/signed', shortcode: 'signed1' }
+  });
+  assert.equal(created.status, 201);
+
+  const delivery = await waitForFinishedDelivery(webhook.id);
+  assert.equal(delivery.status, 'succeeded');
+  assert.equal(delivery.event, 'url.created');
+
+  const [received] = receiver.deliveries;
+  assert.equal(received.statusCode, 204);
+  assert.equal(received.deliveryId, delivery.id);
+  assert.equal(JSON.parse(received.body).data.shortcode, 'signed1');
+});
+
+test('a receiver holding a different secret rejects the signature', async () => {
+  const receiver = await startReceiver({ secret: 'whsec_some_other_secret_42' });
+  const webhook = await createWebhook(receiver.baseUrl);
+
+  await request(app.baseUrl, `/webhooks/${webhook.id}/test`, { method: 'POST', apiKey });
+
+  const delivery = await waitForFinishedDelivery(webhook.id);
+  assert.equal(delivery.status, 'failed');
+  assert.deepEqual(receiver.deliveries.map(received => received.statusCode), [401, 401, 401]);
+  assert.equal(delivery.attempts[0].error, 'Receiver responded with 401');
+});
+
+test('failed deliveries are retried with exponential backoff', async () => {
+  const receiver = await startReceiver({ secret: SECRET, failFirst: 2 });
+  const webhook = await createWebhook(receiver.baseUrl);
+
+  await request(app.baseUrl, `/webhooks/${webhook.id}/test`, { method: 'POST', apiKey });
+
+  const delivery = await waitForFinishedDelivery(webhook.id);
+  assert.equal(delivery.status, 'succeeded');
+  assert.deepEqual(delivery.attempts.map(attempt => attempt.statusCode), [500, 500, 204]);
+
+  // Retries wait WEBHOOK_RETRY_BASE_MS, then twice that.
+  const [first, second, third] = receiver.deliveries.map(received => received.receivedAt);
+  assert.ok(second - first >= 50, `first retry came after ${second - first}ms`);
+  assert.ok(third - second >= 100, `second retry came after ${third - second}ms`);
+});
+
+test('the delivery log records every attempt and gives up after the last one', async () => {
+  const receiver = await startReceiver({ secret: SECRET, failFirst: 10 });
+  const webhook = await createWebhook(receiver.baseUrl);
+
+  const sent = await request(app.baseUrl, `/webhooks/${webhook.id}/test`, { method: 'POST', apiKey });
+  assert.equal(sent.status, 202);
+  const pending = await sent.json();
+  assert.equal(pending.status, 'pending');
+
+  const delivery = await waitForFinishedDelivery(webhook.id);
+  assert.equal(delivery.id, pending.id);
+  assert.equal(delivery.event, 'webhook.test');
+  assert.equal(delivery.status, 'failed');
+  assert.equal(delivery.attempts.length, 3);
+  assert.ok(delivery.attempts.every(attempt => attempt.statusCode === 500 && attempt.durationMs >= 0));
+  assert.equal(delivery.nextAttemptAt, null);
+  assert.ok(delivery.completedAt);
+  assert.equal(receiver.deliveries.length, 3);
+
+  assert.deepEqual((await listDeliveries(webhook.id, '?status=failed')).map(item => item.id), [delivery.id]);
+  assert.deepEqual(await listDeliveries(webhook.id, '?status=succeeded'), []);
+});
+
+test('the signature matches the documented scheme', async () => {
+  const receiver = await startReceiver({});
+  const webhook = await createWebhook(receiver.baseUrl);
+
+  await request(app.baseUrl, `/webhooks/${webhook.id}/test`, { method: 'POST', apiKey });
+  await waitForFinishedDelivery(webhook.id);
+
+  const { signature, timestamp, body } = receiver.deliveries[0];
+  const expected = crypto.createHmac('sha256', SECRET).update(`${timestamp}.${body}`).digest('hex');
+  assert.equal(signature, `sha256=${expected}`);
+});
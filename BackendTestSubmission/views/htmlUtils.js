@@ -0,0 +1,48 @@
+const escapeHtml = (value) => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+const renderPage = (title, body) => {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { margin: 0; min-height: 100vh; display: flex; align-items: center; justify-content: center;
+      font-family: Roboto, Arial, sans-serif; color: #fff;
+      background: linear-gradient(135deg, #0f0f23 0%, #1a1a2e 50%, #16213e 100%); }
+    main { width: 100%; max-width: 420px; padding: 32px; border-radius: 12px;
+      background: linear-gradient(145deg, #1e1e2e 0%, #2a2a3e 100%); border: 1px solid rgba(99, 102, 241, 0.2); }
+    h1 { margin-top: 0; font-size: 1.5rem; }
+    p { color: rgba(255, 255, 255, 0.7); line-height: 1.5; word-break: break-all; }
+    input { box-sizing: border-box; width: 100%; padding: 12px; margin-bottom: 16px; border-radius: 8px;
+      border: 2px solid rgba(99, 102, 241, 0.3); background: rgba(255, 255, 255, 0.05); color: #fff; font-size: 1rem; }
+    button, .button { display: inline-block; padding: 12px 24px; border: 0; border-radius: 8px; cursor: pointer;
+      background: linear-gradient(145deg, #6366f1, #8b5cf6); color: #fff; font-size: 1rem; font-weight: 600; text-decoration: none; }
+    .error { color: #ef4444; }
+    .domain { color: #a5b4fc; font-size: 1.25rem; font-weight: 600; }
+    dl { display: grid; grid-template-columns: auto 1fr; gap: 4px 16px; margin: 0 0 24px; font-size: 0.875rem; }
+    dt { color: rgba(255, 255, 255, 0.5); }
+    dd { margin: 0; color: rgba(255, 255, 255, 0.7); word-break: break-all; }
+  </style>
+</head>
+<body>
+  <main>
+${body}
+  </main>
+</body>
+</html>`;
+};
+
+module.exports = {
+  escapeHtml,
+  renderPage
+};
@@ -0,0 +1,31 @@
+const { escapeHtml, renderPage } = require('./htmlUtils');
+
+const formatTimestamp = (value) => new Date(value).toUTCString();
+
+/**
+ * Interstitial shown instead of redirecting for links in preview mode and
+ * for short links opened with a trailing `+`. The continue button goes
+ * through `continueLink`, so the click is counted once the visitor decides.
+ */
+const renderPreviewPage = ({ shortLink, continueLink, destination, urlEntry }) => {
+  const { hostname, protocol } = new URL(destination);
+  const remainingClicks = urlEntry.maxClicks
+    ? Math.max(urlEntry.maxClicks - urlEntry.clicks.length, 0)
+    : null;
+
+  return renderPage(`Continue to ${hostname}?`, `    <h1>You are about to leave for</h1>
+    <p class="domain">${escapeHtml(hostname)}</p>
+    ${protocol === 'https:' ? '' : '<p class="error">This destination does not use HTTPS. Information you send there is not encrypted.</p>'}
+    <p>${escapeHtml(destination)}</p>
+    <dl>
+      <dt>Short link</dt><dd>${escapeHtml(shortLink)}</dd>
+      <dt>Created</dt><dd>${escapeHtml(formatTimestamp(urlEntry.createdAt))}</dd>
+      <dt>Expires</dt><dd>${escapeHtml(formatTimestamp(urlEntry.expiresAt))}</dd>
+      ${remainingClicks !== null ? `<dt>Clicks left</dt><dd>${remainingClicks}</dd>` : ''}
+    </dl>
+    <a class="button" href="${escapeHtml(continueLink)}" rel="noopener noreferrer">Continue to ${escapeHtml(hostname)}</a>`);
+};
+
+module.exports = {
+  renderPreviewPage
+};
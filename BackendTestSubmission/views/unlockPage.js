@@ -0,0 +1,30 @@
+const { escapeHtml, renderPage } = require('./htmlUtils');
+
+const renderUnlockPage = ({ shortcode, error }) => {
+  return renderPage('Password required', `    <h1>Password required</h1>
+    <p>The short link <strong>/${escapeHtml(shortcode)}</strong> is password protected.</p>
+    ${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+    <form method="post">
+      <input type="password" name="password" placeholder="Password" autocomplete="current-password" autofocus required>
+      <button type="submit">Unlock</button>
+    </form>`);
+};
+
+/**
+ * Shown to browsers once the password is accepted. Redirecting from the form
+ * POST instead would fall foul of the page's `form-action 'self'` policy,
+ * which browsers also apply to redirects that follow a form submission.
+ */
+const renderUnlockedPage = ({ shortcode, destination }) => {
+  const { hostname } = new URL(destination);
+
+  return renderPage('Link unlocked', `    <h1>Link unlocked</h1>
+    <p>The short link <strong>/${escapeHtml(shortcode)}</strong> points to</p>
+    <p>${escapeHtml(destination)}</p>
+    <a class="button" href="${escapeHtml(destination)}" rel="noopener noreferrer">Continue to ${escapeHtml(hostname)}</a>`);
+};
+
+module.exports = {
+  renderUnlockPage,
+  renderUnlockedPage
+};
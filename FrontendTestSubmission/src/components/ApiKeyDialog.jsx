@@ -0,0 +1,91 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogContentText,
+  DialogTitle,
+  TextField
+} from '@mui/material';
+import { useLogging } from '../context/LoggingContext';
+import { getApiKey, setApiKey } from '../services/apiService';
+
+/**
+ * Asks for the API key the requests are sent with. The key is kept in
+ * sessionStorage, so it is forgotten when the tab is closed.
+ */
+const ApiKeyDialog = ({ open, onClose }) => {
+  const { logUserInteraction } = useLogging();
+  const [key, setKey] = useState('');
+
+  useEffect(() => {
+    if (open) {
+      setKey(getApiKey());
+    }
+  }, [open]);
+
+  const handleSave = (event) => {
+    event.preventDefault();
+    setApiKey(key);
+    logUserInteraction('submit', 'api-key', { keySet: Boolean(key.trim()) });
+    onClose();
+  };
+
+  const handleForget = () => {
+    setApiKey('');
+    logUserInteraction('click', 'api-key', { keySet: false });
+    onClose();
+  };
+
+  return (
+    <Dialog
+      open={open}
+      onClose={onClose}
+      fullWidth
+      maxWidth="sm"
+      PaperProps={{
+        component: 'form',
+        onSubmit: handleSave,
+        sx: {
+          background: 'linear-gradient(145deg, #1e1e2e 0%, #2a2a3e 100%)',
+          border: '1px solid rgba(99, 102, 241, 0.2)',
+          borderRadius: 3
+        }
+      }}
+    >
+      <DialogTitle sx={{ color: 'white', fontWeight: 700 }}>API key</DialogTitle>
+      <DialogContent>
+        <DialogContentText sx={{ color: 'rgba(255, 255, 255, 0.7)', mb: 2 }}>
+          Creating links and reading their statistics needs an API key. It is kept in this browser tab only and
+          forgotten when the tab is closed.
+        </DialogContentText>
+        <TextField
+          autoFocus
+          fullWidth
+          type="password"
+          label="API key"
+          placeholder="usk_..."
+          autoComplete="off"
+          value={key}
+          onChange={(e) => setKey(e.target.value)}
+        />
+      </DialogContent>
+      <DialogActions sx={{ px: 3, pb: 2 }}>
+        {getApiKey() && (
+          <Button onClick={handleForget} color="error" sx={{ textTransform: 'none', mr: 'auto' }}>
+            Forget key
+          </Button>
+        )}
+        <Button onClick={onClose} sx={{ textTransform: 'none' }}>
+          Cancel
+        </Button>
+        <Button type="submit" variant="contained" disabled={!key.trim()} sx={{ textTransform: 'none' }}>
+          Save
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ApiKeyDialog;
@@ -0,0 +1,57 @@
+import React from 'react';
+import { Box, Chip, Tooltip, Typography } from '@mui/material';
+import { formatDate, getTimeAgo } from '../utils/helpers';
+
+const HEALTH_STYLES = {
+  healthy: { label: 'Destination healthy', color: '#22c55e', rgb: '34, 197, 94' },
+  degraded: { label: 'Destination degraded', color: '#f59e0b', rgb: '245, 158, 11' },
+  broken: { label: 'Destination broken', color: '#ef4444', rgb: '239, 68, 68' },
+  unknown: { label: 'Not checked yet', color: 'rgba(255, 255, 255, 0.6)', rgb: '255, 255, 255' }
+};
+
+const HISTORY_IN_TOOLTIP = 10;
+
+const describeCheck = (check) => {
+  const outcome = check.statusCode ? `HTTP ${check.statusCode}` : check.error;
+  return check.latencyMs !== null ? `${outcome} in ${check.latencyMs} ms` : outcome;
+};
+
+/**
+ * Badge for the link-rot monitor's verdict on a link's destination, with the
+ * recent checks in its tooltip
+ */
+const HealthBadge = ({ health }) => {
+  const style = HEALTH_STYLES[health?.status || 'unknown'];
+
+  const tooltip = health ? (
+    <Box>
+      <Typography variant="caption" component="div" sx={{ fontWeight: 600, mb: 0.5 }}>
+        Last checked {getTimeAgo(health.lastCheckedAt)}
+      </Typography>
+      {health.history.slice(0, HISTORY_IN_TOOLTIP).map(check => (
+        <Typography key={check.checkedAt} variant="caption" component="div">
+          {check.ok ? '✓' : '✗'} {formatDate(check.checkedAt)}: {describeCheck(check)}
+        </Typography>
+      ))}
+    </Box>
+  ) : 'The destination is checked periodically in the background';
+
+  return (
+    <Tooltip title={tooltip} arrow>
+      <Chip
+        label={style.label}
+        variant="filled"
+        sx={{
+          ml: 1,
+          fontWeight: 600,
+          fontSize: '0.875rem',
+          backgroundColor: `rgba(${style.rgb}, 0.2)`,
+          color: style.color,
+          border: `1px solid rgba(${style.rgb}, 0.3)`
+        }}
+      />
+    </Tooltip>
+  );
+};
+
+export default HealthBadge;
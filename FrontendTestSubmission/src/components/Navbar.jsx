@@ -1,17 +1,27 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { AppBar, Toolbar, Typography, Button, Box } from '@mui/material';
 import { Link as RouterLink, useLocation } from 'react-router-dom';
-import { LinkOutlined, BarChart } from '@mui/icons-material';
+import { LinkOutlined, BarChart, VpnKey } from '@mui/icons-material';
 import { useLogging } from '../context/LoggingContext';
+import { getApiKey } from '../services/apiService';
+import ApiKeyDialog from './ApiKeyDialog';
 
 const Navbar = () => {
   const location = useLocation();
   const { logUserInteraction } = useLogging();
+  const [hasApiKey, setHasApiKey] = useState(() => Boolean(getApiKey()));
+  // Ask for the key straight away when this tab has none yet
+  const [apiKeyDialogOpen, setApiKeyDialogOpen] = useState(() => !getApiKey());
 
   const handleNavigation = (page) => {
     logUserInteraction('click', 'navigation', { destination: page });
   };
 
+  const handleApiKeyDialogClose = () => {
+    setApiKeyDialogOpen(false);
+    setHasApiKey(Boolean(getApiKey()));
+  };
+
   return (
     <AppBar 
       position="static" 
@@ -118,8 +128,32 @@ const Navbar = () => {
           >
             Analytics
           </Button>
+          <Button
+            onClick={() => setApiKeyDialogOpen(true)}
+            startIcon={<VpnKey />}
+            sx={{
+              color: hasApiKey ? 'white' : '#fbbf24',
+              borderRadius: 2,
+              px: 3,
+              py: 1,
+              background: 'rgba(255, 255, 255, 0.05)',
+              border: hasApiKey
+                ? '1px solid rgba(255, 255, 255, 0.1)'
+                : '1px solid rgba(251, 191, 36, 0.5)',
+              fontWeight: 600,
+              textTransform: 'none',
+              '&:hover': {
+                background: 'rgba(255, 255, 255, 0.1)',
+                transform: 'translateY(-1px)',
+              },
+              transition: 'all 0.3s cubic-bezier(0.4, 0, 0.2, 1)'
+            }}
+          >
+            {hasApiKey ? 'API key' : 'Set API key'}
+          </Button>
         </Box>
       </Toolbar>
+      <ApiKeyDialog open={apiKeyDialogOpen} onClose={handleApiKeyDialogClose} />
     </AppBar>
   );
 };
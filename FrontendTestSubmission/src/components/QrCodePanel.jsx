@@ -0,0 +1,109 @@
+import React, { useState, useEffect } from 'react';
+import { Box, Button, CircularProgress, Typography } from '@mui/material';
+import { Download as DownloadIcon } from '@mui/icons-material';
+import { useLogging } from '../context/LoggingContext';
+import { getQrCode } from '../services/apiService';
+import { downloadBlob } from '../utils/helpers';
+
+const PREVIEW_SIZE = 160;
+const DOWNLOAD_SIZE = 1024;
+
+/**
+ * QR code preview for a short link with PNG and SVG downloads
+ */
+const QrCodePanel = ({ shortcode }) => {
+  const { logApiCall, logUserInteraction } = useLogging();
+
+  const [previewUrl, setPreviewUrl] = useState(null);
+  const [error, setError] = useState(null);
+  const [downloading, setDownloading] = useState(null);
+
+  useEffect(() => {
+    let objectUrl = null;
+    let cancelled = false;
+
+    const loadPreview = async () => {
+      const result = await getQrCode(shortcode, { format: 'png', size: PREVIEW_SIZE * 2, margin: 2 });
+      logApiCall('GET', `/shorturls/${shortcode}/qr`, result.success ? 200 : 'error', result.responseTime);
+
+      if (cancelled) return;
+      if (result.success) {
+        objectUrl = URL.createObjectURL(result.data);
+        setPreviewUrl(objectUrl);
+        setError(null);
+      } else {
+        setError(result.error.message);
+      }
+    };
+
+    loadPreview();
+
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [shortcode, logApiCall]);
+
+  const handleDownload = async (format) => {
+    setDownloading(format);
+    logUserInteraction('click', 'download-qr-code', { shortcode, format });
+
+    const result = await getQrCode(shortcode, { format, size: DOWNLOAD_SIZE, ecc: 'Q' });
+    logApiCall('GET', `/shorturls/${shortcode}/qr`, result.success ? 200 : 'error', result.responseTime);
+
+    if (result.success) {
+      downloadBlob(result.data, `${shortcode}-qr.${format}`);
+    } else {
+      setError(result.error.message);
+    }
+    setDownloading(null);
+  };
+
+  return (
+    <Box display="flex" alignItems="center" gap={2} flexWrap="wrap">
+      <Box
+        sx={{
+          width: PREVIEW_SIZE,
+          height: PREVIEW_SIZE,
+          borderRadius: 2,
+          backgroundColor: 'white',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center',
+          overflow: 'hidden'
+        }}
+      >
+        {previewUrl ? (
+          <img src={previewUrl} alt={`QR code for ${shortcode}`} width={PREVIEW_SIZE} height={PREVIEW_SIZE} />
+        ) : error ? (
+          <Typography variant="caption" sx={{ color: '#ef4444', p: 1, textAlign: 'center' }}>
+            {error}
+          </Typography>
+        ) : (
+          <CircularProgress size={24} />
+        )}
+      </Box>
+      <Box display="flex" flexDirection="column" gap={1}>
+        {['png', 'svg'].map(format => (
+          <Button
+            key={format}
+            variant="outlined"
+            size="small"
+            onClick={() => handleDownload(format)}
+            disabled={Boolean(downloading) || !previewUrl}
+            startIcon={downloading === format ? <CircularProgress size={16} color="inherit" /> : <DownloadIcon />}
+            sx={{
+              borderColor: 'rgba(99, 102, 241, 0.5)',
+              color: '#a5b4fc',
+              '&:hover': { borderColor: '#6366f1', backgroundColor: 'rgba(99, 102, 241, 0.1)' }
+            }}
+          >
+            {format.toUpperCase()}
+          </Button>
+        ))}
+      </Box>
+    </Box>
+  );
+};
+
+export default QrCodePanel;
@@ -0,0 +1,222 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Button,
+  Collapse,
+  Grid,
+  IconButton,
+  MenuItem,
+  TextField,
+  Tooltip,
+  Typography
+} from '@mui/material';
+import {
+  ExpandMore as ExpandMoreIcon,
+  ExpandLess as ExpandLessIcon,
+  Save as SaveIcon,
+  Delete as DeleteIcon
+} from '@mui/icons-material';
+import { useLogging } from '../context/LoggingContext';
+import { UTM_FIELDS, buildUtmUrl } from '../utils/helpers';
+
+const FIELD_LABELS = {
+  source: 'Source',
+  medium: 'Medium',
+  campaign: 'Campaign',
+  term: 'Term',
+  content: 'Content'
+};
+
+const FIELD_PLACEHOLDERS = {
+  source: 'newsletter',
+  medium: 'email',
+  campaign: 'spring_sale',
+  term: 'running+shoes',
+  content: 'header_link'
+};
+
+const fieldSx = {
+  '& .MuiOutlinedInput-root': {
+    backgroundColor: 'rgba(255, 255, 255, 0.05)',
+    borderRadius: 2,
+    '& fieldset': {
+      borderColor: 'rgba(99, 102, 241, 0.3)',
+      borderWidth: 2
+    },
+    '&:hover fieldset': {
+      borderColor: 'rgba(99, 102, 241, 0.5)'
+    },
+    '&.Mui-focused fieldset': {
+      borderColor: '#6366f1'
+    }
+  },
+  '& .MuiInputLabel-root': {
+    color: 'rgba(255, 255, 255, 0.7)',
+    '&.Mui-focused': {
+      color: '#6366f1'
+    }
+  },
+  '& .MuiInputBase-input': {
+    color: 'white'
+  },
+  '& .MuiFormHelperText-root': {
+    color: 'rgba(255, 255, 255, 0.5)'
+  }
+};
+
+/**
+ * Collapsible UTM parameter builder for a single URL entry. Presets are owned
+ * by the parent so every entry sees the same list.
+ */
+const UtmBuilder = ({ index, url, utm, error, presets, onChange, onSavePreset, onDeletePreset }) => {
+  const { logUserInteraction } = useLogging();
+
+  const [open, setOpen] = useState(false);
+  const [presetName, setPresetName] = useState('');
+  const [selectedPreset, setSelectedPreset] = useState('');
+
+  const filledCount = UTM_FIELDS.filter(field => utm[field]?.trim()).length;
+  const preview = filledCount > 0 && url.trim() ? buildUtmUrl(url, utm) : null;
+
+  const toggle = () => {
+    setOpen(!open);
+    logUserInteraction('click', 'toggle-utm-builder', { index, open: !open });
+  };
+
+  const applyPreset = (name) => {
+    const preset = presets.find(item => item.name === name);
+    setSelectedPreset(name);
+    if (preset) {
+      onChange(UTM_FIELDS.reduce((next, field) => ({ ...next, [field]: preset.utm[field] || '' }), {}));
+      logUserInteraction('change', 'apply-utm-preset', { index, preset: name });
+    }
+  };
+
+  const savePreset = () => {
+    const name = presetName.trim();
+    onSavePreset(name, utm);
+    setSelectedPreset(name);
+    setPresetName('');
+  };
+
+  const deletePreset = () => {
+    onDeletePreset(selectedPreset);
+    setSelectedPreset('');
+  };
+
+  return (
+    <Box mt={2}>
+      <Button
+        size="small"
+        onClick={toggle}
+        endIcon={open ? <ExpandLessIcon /> : <ExpandMoreIcon />}
+        sx={{ color: error ? '#ef4444' : '#a5b4fc', textTransform: 'none', fontWeight: 600 }}
+      >
+        UTM parameters{filledCount > 0 ? ` (${filledCount} set)` : ''}
+      </Button>
+
+      <Collapse in={open || Boolean(error)} unmountOnExit>
+        <Box
+          sx={{
+            mt: 2,
+            p: 2,
+            borderRadius: 2,
+            border: '1px solid rgba(99, 102, 241, 0.2)',
+            backgroundColor: 'rgba(255, 255, 255, 0.02)'
+          }}
+        >
+          <Box display="flex" gap={1} mb={2} flexWrap="wrap" alignItems="flex-start">
+            <TextField
+              select
+              size="small"
+              label="Preset"
+              value={selectedPreset}
+              onChange={(e) => applyPreset(e.target.value)}
+              disabled={presets.length === 0}
+              helperText={presets.length === 0 ? 'No saved presets yet' : ' '}
+              sx={{ ...fieldSx, minWidth: 200 }}
+            >
+              {presets.map(preset => (
+                <MenuItem key={preset.name} value={preset.name}>
+                  {preset.name}
+                </MenuItem>
+              ))}
+            </TextField>
+            <Tooltip title="Delete preset" arrow>
+              <span>
+                <IconButton
+                  onClick={deletePreset}
+                  disabled={!selectedPreset}
+                  sx={{ color: '#ef4444', mt: 0.5 }}
+                >
+                  <DeleteIcon />
+                </IconButton>
+              </span>
+            </Tooltip>
+            <TextField
+              size="small"
+              label="Save current as"
+              placeholder="Preset name"
+              value={presetName}
+              onChange={(e) => setPresetName(e.target.value)}
+              helperText=" "
+              sx={{ ...fieldSx, minWidth: 200, ml: { md: 'auto' } }}
+            />
+            <Button
+              variant="outlined"
+              startIcon={<SaveIcon />}
+              onClick={savePreset}
+              disabled={!presetName.trim() || filledCount === 0}
+              sx={{
+                mt: 0.25,
+                borderColor: 'rgba(99, 102, 241, 0.5)',
+                color: '#a5b4fc',
+                '&:hover': { borderColor: '#6366f1', backgroundColor: 'rgba(99, 102, 241, 0.1)' }
+              }}
+            >
+              Save
+            </Button>
+          </Box>
+
+          <Grid container spacing={2}>
+            {UTM_FIELDS.map(field => (
+              <Grid item xs={12} sm={6} md={field === 'source' || field === 'medium' ? 6 : 4} key={field}>
+                <TextField
+                  fullWidth
+                  size="small"
+                  label={`${FIELD_LABELS[field]}${field === 'source' ? ' *' : ''}`}
+                  placeholder={FIELD_PLACEHOLDERS[field]}
+                  value={utm[field]}
+                  onChange={(e) => onChange({ ...utm, [field]: e.target.value })}
+                  sx={fieldSx}
+                />
+              </Grid>
+            ))}
+          </Grid>
+
+          {error && (
+            <Typography variant="body2" sx={{ color: '#ef4444', mt: 2 }}>
+              {error}
+            </Typography>
+          )}
+
+          {preview && (
+            <Box mt={2}>
+              <Typography variant="caption" sx={{ color: 'rgba(255, 255, 255, 0.5)' }}>
+                Final destination
+              </Typography>
+              <Typography
+                variant="body2"
+                sx={{ color: '#a5b4fc', fontFamily: 'monospace', wordBreak: 'break-all' }}
+              >
+                {preview}
+              </Typography>
+            </Box>
+          )}
+        </Box>
+      </Collapse>
+    </Box>
+  );
+};
+
+export default UtmBuilder;
@@ -1,4 +1,4 @@
-import React, { createContext, useContext } from 'react';
+import React, { createContext, useCallback, useContext, useMemo } from 'react';
 
 const LoggingContext = createContext();
 
@@ -12,7 +12,7 @@ export const useLogging = () => {
 
 export const LoggingProvider = ({ children }) => {
   // Frontend-specific logging functions that integrate with the backend logging middleware
-  const logInfo = (message, meta = {}) => {
+  const logInfo = useCallback((message, meta = {}) => {
     const logData = {
       level: 'info',
       message,
@@ -28,9 +28,9 @@ export const LoggingProvider = ({ children }) => {
     const logs = JSON.parse(sessionStorage.getItem('frontendLogs') || '[]');
     logs.push(logData);
     sessionStorage.setItem('frontendLogs', JSON.stringify(logs.slice(-100))); // Keep last 100 logs
-  };
+  }, []);
 
-  const logError = (message, error = null, meta = {}) => {
+  const logError = useCallback((message, error = null, meta = {}) => {
     const logData = {
       level: 'error',
       message,
@@ -48,9 +48,9 @@ export const LoggingProvider = ({ children }) => {
     const logs = JSON.parse(sessionStorage.getItem('frontendLogs') || '[]');
     logs.push(logData);
     sessionStorage.setItem('frontendLogs', JSON.stringify(logs.slice(-100)));
-  };
+  }, []);
 
-  const logWarn = (message, meta = {}) => {
+  const logWarn = useCallback((message, meta = {}) => {
     const logData = {
       level: 'warn',
       message,
@@ -64,9 +64,9 @@ export const LoggingProvider = ({ children }) => {
     const logs = JSON.parse(sessionStorage.getItem('frontendLogs') || '[]');
     logs.push(logData);
     sessionStorage.setItem('frontendLogs', JSON.stringify(logs.slice(-100)));
-  };
+  }, []);
 
-  const logDebug = (message, meta = {}) => {
+  const logDebug = useCallback((message, meta = {}) => {
     const logData = {
       level: 'debug',
       message,
@@ -80,10 +80,10 @@ export const LoggingProvider = ({ children }) => {
     const logs = JSON.parse(sessionStorage.getItem('frontendLogs') || '[]');
     logs.push(logData);
     sessionStorage.setItem('frontendLogs', JSON.stringify(logs.slice(-100)));
-  };
+  }, []);
 
   // URL Shortener specific logging functions
-  const logUrlSubmitted = (urls, meta = {}) => {
+  const logUrlSubmitted = useCallback((urls, meta = {}) => {
     logInfo('URLs submitted for shortening', {
       action: 'URL_SUBMITTED',
       urlCount: urls.length,
@@ -94,9 +94,9 @@ export const LoggingProvider = ({ children }) => {
       })),
       ...meta
     });
-  };
+  }, [logInfo]);
 
-  const logUrlShortened = (originalUrl, shortLink, expiry, meta = {}) => {
+  const logUrlShortened = useCallback((originalUrl, shortLink, expiry, meta = {}) => {
     logInfo('URL shortened successfully', {
       action: 'URL_SHORTENED',
       originalUrl,
@@ -104,9 +104,9 @@ export const LoggingProvider = ({ children }) => {
       expiry,
       ...meta
     });
-  };
+  }, [logInfo]);
 
-  const logValidationError = (field, value, reason, meta = {}) => {
+  const logValidationError = useCallback((field, value, reason, meta = {}) => {
     logWarn('Client-side validation error', {
       action: 'VALIDATION_ERROR',
       field,
@@ -114,9 +114,9 @@ export const LoggingProvider = ({ children }) => {
       reason,
       ...meta
     });
-  };
+  }, [logWarn]);
 
-  const logApiCall = (method, url, status, responseTime, meta = {}) => {
+  const logApiCall = useCallback((method, url, status, responseTime, meta = {}) => {
     logInfo('API call completed', {
       action: 'API_CALL',
       method,
@@ -125,26 +125,27 @@ export const LoggingProvider = ({ children }) => {
       responseTime: `${responseTime}ms`,
       ...meta
     });
-  };
+  }, [logInfo]);
 
-  const logPageView = (page, meta = {}) => {
+  const logPageView = useCallback((page, meta = {}) => {
     logInfo('Page viewed', {
       action: 'PAGE_VIEW',
       page,
       ...meta
     });
-  };
+  }, [logInfo]);
 
-  const logUserInteraction = (interaction, element, meta = {}) => {
+  const logUserInteraction = useCallback((interaction, element, meta = {}) => {
     logDebug('User interaction', {
       action: 'USER_INTERACTION',
       interaction,
       element,
       ...meta
     });
-  };
+  }, [logDebug]);
 
-  const value = {
+  // Memoized so components can list these functions as effect dependencies.
+  const value = useMemo(() => ({
     logInfo,
     logError,
     logWarn,
@@ -155,7 +156,18 @@ export const LoggingProvider = ({ children }) => {
     logApiCall,
     logPageView,
     logUserInteraction
-  };
+  }), [
+    logInfo,
+    logError,
+    logWarn,
+    logDebug,
+    logUrlSubmitted,
+    logUrlShortened,
+    logValidationError,
+    logApiCall,
+    logPageView,
+    logUserInteraction
+  ]);
 
   return (
     <LoggingContext.Provider value={value}>
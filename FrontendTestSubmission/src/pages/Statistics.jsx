@@ -32,18 +32,40 @@ import {
   Timeline as TimelineIcon,
   Language as LanguageIcon,
   Computer as ComputerIcon,
-  AccessTime as AccessTimeIcon
+  AccessTime as AccessTimeIcon,
+  CallSplit as CallSplitIcon
 } from '@mui/icons-material';
 import { useLogging } from '../context/LoggingContext';
-import { getUrlStatistics } from '../services/apiService';
-import { formatDate, getTimeAgo, copyToClipboard, extractDomain, getExpiryStatus } from '../utils/helpers';
+import QrCodePanel from '../components/QrCodePanel';
+import HealthBadge from '../components/HealthBadge';
+import { getUrlStatistics, getUrlAnalytics, getUrlClicks } from '../services/apiService';
+import {
+  formatDate,
+  getTimeAgo,
+  copyToClipboard,
+  extractDomain,
+  getExpiryStatus,
+  REDIRECT_STATUS_LABELS,
+  describeRedirectCaching
+} from '../utils/helpers';
+
+const CLICKS_PAGE_SIZE = 50;
+
+const BLOCKED_REASONS = {
+  PRIVATE_ADDRESS: 'destination is a private network address',
+  BLOCKLISTED: 'destination domain is blocklisted',
+  NOT_ALLOWLISTED: 'destination domain is not allowlisted'
+};
 
 const Statistics = () => {
   const { logPageView, logApiCall, logUserInteraction } = useLogging();
   
   const [shortcode, setShortcode] = useState('');
   const [statistics, setStatistics] = useState(null);
+  const [analytics, setAnalytics] = useState(null);
+  const [clicksPage, setClicksPage] = useState({ items: [], nextCursor: null });
   const [loading, setLoading] = useState(false);
+  const [loadingMoreClicks, setLoadingMoreClicks] = useState(false);
   const [error, setError] = useState(null);
   const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'info' });
   const [searchHistory, setSearchHistory] = useState([]);
@@ -72,13 +94,19 @@ const Statistics = () => {
 
     try {
       const startTime = Date.now();
-      const result = await getUrlStatistics(shortcode.trim());
+      const [result, analyticsResult, clicksResult] = await Promise.all([
+        getUrlStatistics(shortcode.trim(), { includeClicks: false }),
+        getUrlAnalytics(shortcode.trim(), { interval: 'day' }),
+        getUrlClicks(shortcode.trim(), { limit: CLICKS_PAGE_SIZE })
+      ]);
       const responseTime = Date.now() - startTime;
 
       logApiCall('GET', `/shorturls/${shortcode}`, result.success ? 200 : 'error', responseTime);
 
       if (result.success) {
         setStatistics(result.data);
+        setAnalytics(analyticsResult.success ? analyticsResult.data : null);
+        setClicksPage(clicksResult.success ? clicksResult.data : { items: [], nextCursor: null });
         
         const newHistoryItem = {
           shortcode: shortcode.trim(),
@@ -117,6 +145,32 @@ const Statistics = () => {
     }
   };
 
+  const loadMoreClicks = async () => {
+    setLoadingMoreClicks(true);
+    logUserInteraction('click', 'load-more-clicks', { shortcode: statistics.shortcode });
+
+    const startTime = Date.now();
+    const result = await getUrlClicks(statistics.shortcode, {
+      limit: CLICKS_PAGE_SIZE,
+      cursor: clicksPage.nextCursor
+    });
+    logApiCall('GET', `/shorturls/${statistics.shortcode}/clicks`, result.success ? 200 : 'error', Date.now() - startTime);
+
+    if (result.success) {
+      setClicksPage({
+        items: [...clicksPage.items, ...result.data.items],
+        nextCursor: result.data.nextCursor
+      });
+    } else {
+      setSnackbar({
+        open: true,
+        message: result.error.message || 'Failed to load more clicks',
+        severity: 'error'
+      });
+    }
+    setLoadingMoreClicks(false);
+  };
+
   const handleCopyLink = async (link) => {
     const success = await copyToClipboard(link);
     setSnackbar({
@@ -144,32 +198,7 @@ const Statistics = () => {
     });
   };
 
-
-  const getTopReferrers = (clicks) => {
-    const referrerCounts = {};
-    clicks.forEach(click => {
-      const referrer = click.referrer === 'Direct' ? 'Direct Access' : extractDomain(click.referrer);
-      referrerCounts[referrer] = (referrerCounts[referrer] || 0) + 1;
-    });
-    
-    return Object.entries(referrerCounts)
-      .sort(([,a], [,b]) => b - a)
-      .slice(0, 5)
-      .map(([referrer, count]) => ({ referrer, count }));
-  };
-
-
-  const getLocationDistribution = (clicks) => {
-    const locationCounts = {};
-    clicks.forEach(click => {
-      const location = click.location || 'Unknown';
-      locationCounts[location] = (locationCounts[location] || 0) + 1;
-    });
-    
-    return Object.entries(locationCounts)
-      .sort(([,a], [,b]) => b - a)
-      .map(([location, count]) => ({ location, count }));
-  };
+  const totalVariantWeight = (statistics?.variants || []).reduce((sum, variant) => sum + variant.weight, 0);
 
   return (
     <Box sx={{ 
@@ -441,6 +470,23 @@ const Statistics = () => {
                       }
                     }}
                   />
+                  <HealthBadge health={statistics.health} />
+                  {statistics.blocked && (
+                    <Tooltip title={`Disabled ${formatDate(statistics.blocked.at)}: ${BLOCKED_REASONS[statistics.blocked.reason] || statistics.blocked.reason}`} arrow>
+                      <Chip
+                        label="Blocked"
+                        variant="filled"
+                        sx={{
+                          ml: 1,
+                          fontWeight: 600,
+                          fontSize: '0.875rem',
+                          backgroundColor: 'rgba(239, 68, 68, 0.2)',
+                          color: '#ef4444',
+                          border: '1px solid rgba(239, 68, 68, 0.3)'
+                        }}
+                      />
+                    </Tooltip>
+                  )}
                 </Box>
                 
                 <Grid container spacing={4}>
@@ -536,12 +582,12 @@ const Statistics = () => {
                             fontWeight: 600
                           }}
                         >
-                          http://localhost:3100/{statistics.shortcode}
+                          {statistics.shortLink}
                         </Typography>
                         <Tooltip title="Copy short URL" arrow>
                           <IconButton 
                             size="small" 
-                            onClick={() => handleCopyLink(`http://localhost:3100/${statistics.shortcode}`)}
+                            onClick={() => handleCopyLink(statistics.shortLink)}
                             sx={{
                               backgroundColor: 'rgba(99, 102, 241, 0.2)',
                               color: '#6366f1',
@@ -557,6 +603,23 @@ const Statistics = () => {
                         </Tooltip>
                       </Box>
                     </Box>
+
+                    <Box mt={3}>
+                      <Typography 
+                        variant="subtitle1" 
+                        sx={{ 
+                          color: 'rgba(255, 255, 255, 0.7)',
+                          mb: 1,
+                          fontWeight: 600,
+                          textTransform: 'uppercase',
+                          letterSpacing: '0.05em',
+                          fontSize: '0.75rem'
+                        }}
+                      >
+                        QR Code
+                      </Typography>
+                      <QrCodePanel shortcode={statistics.shortcode} />
+                    </Box>
                   </Grid>
                   
                   <Grid item xs={12} md={4}>
@@ -603,6 +666,39 @@ const Statistics = () => {
                       >
                         Created: {formatDate(statistics.createdAt)}
                       </Typography>
+                      {statistics.maxClicks && (
+                        <Typography 
+                          variant="body2" 
+                          sx={{ 
+                            color: statistics.remainingClicks === 0 ? '#ef4444' : 'rgba(255, 255, 255, 0.5)',
+                            mb: 1
+                          }}
+                        >
+                          Remaining clicks: {statistics.remainingClicks} of {statistics.maxClicks}
+                        </Typography>
+                      )}
+                      {statistics.redirect && (
+                        <Typography 
+                          variant="body2" 
+                          sx={{ 
+                            color: 'rgba(255, 255, 255, 0.5)',
+                            mb: 1
+                          }}
+                        >
+                          Redirect: {REDIRECT_STATUS_LABELS[statistics.redirect.status]} · {describeRedirectCaching(statistics.redirect)}
+                        </Typography>
+                      )}
+                      {statistics.preview && (
+                        <Typography 
+                          variant="body2" 
+                          sx={{ 
+                            color: 'rgba(255, 255, 255, 0.5)',
+                            mb: 1
+                          }}
+                        >
+                          Preview page shown before redirecting
+                        </Typography>
+                      )}
                     </Box>
                   </Grid>
                 </Grid>
@@ -610,7 +706,91 @@ const Statistics = () => {
             </Card>
           </Grid>
 
-          {statistics.clicks.length > 0 && (
+          {statistics.variants?.length > 0 && (
+            <Grid item xs={12}>
+              <Card 
+                elevation={6}
+                sx={{
+                  background: 'linear-gradient(145deg, #1e1e2e 0%, #2a2a3e 100%)',
+                  border: '1px solid rgba(99, 102, 241, 0.2)',
+                  borderRadius: 3,
+                  overflow: 'hidden'
+                }}
+              >
+                <CardContent sx={{ p: 0 }}>
+                  <Box sx={{ p: 3, borderBottom: '1px solid rgba(255, 255, 255, 0.1)' }}>
+                    <Typography 
+                      variant="h6" 
+                      sx={{ 
+                        color: 'white',
+                        fontWeight: 600,
+                        display: 'flex',
+                        alignItems: 'center',
+                        gap: 2
+                      }}
+                    >
+                      <Box
+                        sx={{
+                          p: 1,
+                          borderRadius: 2,
+                          background: 'linear-gradient(145deg, #6366f1, #8b5cf6)',
+                          boxShadow: '0 4px 16px rgba(99, 102, 241, 0.3)'
+                        }}
+                      >
+                        <CallSplitIcon sx={{ color: 'white', fontSize: 20 }} />
+                      </Box>
+                      Split Test Variants
+                      <Chip
+                        label={`${statistics.totalConversions} conversion${statistics.totalConversions === 1 ? '' : 's'}`}
+                        size="small"
+                        sx={{ backgroundColor: 'rgba(99, 102, 241, 0.2)', color: '#a5b4fc', fontWeight: 500 }}
+                      />
+                    </Typography>
+                  </Box>
+                  <TableContainer>
+                    <Table>
+                      <TableHead>
+                        <TableRow>
+                          {['Variant', 'Destination', 'Weight', 'Clicks', 'Conversions', 'Conversion rate'].map(heading => (
+                            <TableCell
+                              key={heading}
+                              sx={{ 
+                                backgroundColor: 'rgba(30, 30, 46, 0.95)',
+                                color: 'rgba(255, 255, 255, 0.9)',
+                                fontWeight: 600,
+                                borderBottom: '2px solid rgba(99, 102, 241, 0.3)'
+                              }}
+                            >
+                              {heading}
+                            </TableCell>
+                          ))}
+                        </TableRow>
+                      </TableHead>
+                      <TableBody>
+                        {statistics.variants.map(variant => {
+                          const cellSx = { color: 'rgba(255, 255, 255, 0.8)', borderBottom: '1px solid rgba(255, 255, 255, 0.05)' };
+                          return (
+                            <TableRow key={variant.id}>
+                              <TableCell sx={{ ...cellSx, color: 'white', fontWeight: 600 }}>{variant.id}</TableCell>
+                              <TableCell sx={{ ...cellSx, wordBreak: 'break-all' }}>{variant.url}</TableCell>
+                              <TableCell sx={cellSx}>{Math.round((variant.weight / totalVariantWeight) * 100)}%</TableCell>
+                              <TableCell sx={cellSx}>{variant.clicks}</TableCell>
+                              <TableCell sx={cellSx}>{variant.conversions}</TableCell>
+                              <TableCell sx={{ ...cellSx, color: '#22c55e', fontWeight: 600 }}>
+                                {(variant.conversionRate * 100).toFixed(1)}%
+                              </TableCell>
+                            </TableRow>
+                          );
+                        })}
+                      </TableBody>
+                    </Table>
+                  </TableContainer>
+                </CardContent>
+              </Card>
+            </Grid>
+          )}
+
+          {statistics.totalClicks > 0 && analytics && (
             <>
               <Grid item xs={12} md={4}>
                 <Card 
@@ -646,7 +826,7 @@ const Statistics = () => {
                       </Typography>
                     </Box>
                     <List dense>
-                      {getTopReferrers(statistics.clicks).map((item, index) => (
+                      {analytics.topReferrers.slice(0, 5).map((item, index) => (
                         <ListItem 
                           key={index} 
                           sx={{ 
@@ -680,7 +860,7 @@ const Statistics = () => {
                           <ListItemText
                             primary={
                               <Typography sx={{ color: 'white', fontWeight: 500 }}>
-                                {item.referrer}
+                                {item.value === 'Direct' ? 'Direct Access' : item.value}
                               </Typography>
                             }
                             secondary={
@@ -726,11 +906,11 @@ const Statistics = () => {
                           fontWeight: 600
                         }}
                       >
-                        Locations
+                        Countries
                       </Typography>
                     </Box>
                     <List dense>
-                      {getLocationDistribution(statistics.clicks).slice(0, 5).map((item, index) => (
+                      {analytics.topCountries.slice(0, 5).map((item, index) => (
                         <ListItem 
                           key={index} 
                           sx={{ 
@@ -764,7 +944,7 @@ const Statistics = () => {
                           <ListItemText
                             primary={
                               <Typography sx={{ color: 'white', fontWeight: 500 }}>
-                                {item.location}
+                                {item.value}
                               </Typography>
                             }
                             secondary={
@@ -814,7 +994,7 @@ const Statistics = () => {
                       </Typography>
                     </Box>
                     <List dense>
-                      {statistics.clicks.slice(-5).reverse().map((click, index) => (
+                      {clicksPage.items.slice(0, 5).map((click, index) => (
                         <ListItem 
                           key={index} 
                           sx={{ 
@@ -930,7 +1110,7 @@ const Statistics = () => {
                           </TableRow>
                         </TableHead>
                         <TableBody>
-                          {statistics.clicks.slice().reverse().map((click, index) => (
+                          {clicksPage.items.map((click, index) => (
                             <TableRow 
                               key={index} 
                               sx={{ 
@@ -1030,13 +1210,30 @@ const Statistics = () => {
                         </TableBody>
                       </Table>
                     </TableContainer>
+                    {clicksPage.nextCursor && (
+                      <Box display="flex" justifyContent="center" mt={2}>
+                        <Button
+                          variant="outlined"
+                          onClick={loadMoreClicks}
+                          disabled={loadingMoreClicks}
+                          startIcon={loadingMoreClicks ? <CircularProgress size={16} color="inherit" /> : null}
+                          sx={{
+                            borderColor: 'rgba(99, 102, 241, 0.5)',
+                            color: '#a5b4fc',
+                            '&:hover': { borderColor: '#6366f1', backgroundColor: 'rgba(99, 102, 241, 0.1)' }
+                          }}
+                        >
+                          Load more ({clicksPage.items.length} of {statistics.totalClicks})
+                        </Button>
+                      </Box>
+                    )}
                   </CardContent>
                 </Card>
               </Grid>
             </>
           )}
 
-          {statistics.clicks.length === 0 && (
+          {statistics.totalClicks === 0 && (
             <Grid item xs={12}>
               <Alert 
                 severity="info"
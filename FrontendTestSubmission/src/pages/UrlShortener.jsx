@@ -13,7 +13,10 @@ import {
   CircularProgress,
   Chip,
   IconButton,
-  Tooltip
+  Tooltip,
+  MenuItem,
+  FormControlLabel,
+  Switch
 } from '@mui/material';
 import {
   Add as AddIcon,
@@ -23,28 +26,83 @@ import {
   Refresh as RefreshIcon
 } from '@mui/icons-material';
 import { useLogging } from '../context/LoggingContext';
-import { createMultipleShortUrls } from '../services/apiService';
-import { validateMultipleEntries } from '../utils/validation';
-import { formatDate, copyToClipboard, getExpiryStatus, generateShortcodeSuggestion } from '../utils/helpers';
+import QrCodePanel from '../components/QrCodePanel';
+import UtmBuilder from '../components/UtmBuilder';
+import { createMultipleShortUrls, getDomains, getValidationConfig } from '../services/apiService';
+import { validateMultipleEntries, DEFAULT_VALIDATION_RULES } from '../utils/validation';
+import {
+  formatDate,
+  copyToClipboard,
+  getExpiryStatus,
+  generateShortcodeSuggestion,
+  extractShortcode,
+  REDIRECT_STATUS_LABELS,
+  SHORTCODE_STRATEGY_LABELS,
+  emptyUtm,
+  loadUtmPresets,
+  saveUtmPresets
+} from '../utils/helpers';
+
+// Until GET /config/validation has answered with the server's batch limit.
+const DEFAULT_MAX_ENTRIES = 5;
+
+const emptyEntry = () => ({
+  url: '',
+  validity: '',
+  shortcode: '',
+  shortcodeStrategy: '',
+  maxClicks: '',
+  redirectStatus: '302',
+  cacheMaxAge: '',
+  preview: false,
+  utm: emptyUtm()
+});
 
 const UrlShortener = () => {
   const { logPageView, logUrlSubmitted, logUrlShortened, logValidationError, logApiCall, logUserInteraction } = useLogging();
   
-  const [urlEntries, setUrlEntries] = useState([
-    { url: '', validity: '', shortcode: '' }
-  ]);
+  const [urlEntries, setUrlEntries] = useState([emptyEntry()]);
   const [results, setResults] = useState([]);
   const [loading, setLoading] = useState(false);
   const [errors, setErrors] = useState({});
   const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'info' });
+  const [domains, setDomains] = useState([]);
+  const [domain, setDomain] = useState('');
+  const [utmPresets, setUtmPresets] = useState(loadUtmPresets);
+  const [validationRules, setValidationRules] = useState(DEFAULT_VALIDATION_RULES);
+  const [maxEntries, setMaxEntries] = useState(DEFAULT_MAX_ENTRIES);
 
   useEffect(() => {
     logPageView('url-shortener');
   }, [logPageView]);
 
+  useEffect(() => {
+    const loadDomains = async () => {
+      const result = await getDomains();
+      if (result.success) {
+        setDomains(result.data.items);
+        setDomain(result.data.defaultDomain);
+      }
+    };
+
+    loadDomains();
+  }, []);
+
+  useEffect(() => {
+    const loadValidationRules = async () => {
+      const result = await getValidationConfig();
+      if (result.success) {
+        setValidationRules(result.data);
+        setMaxEntries(result.data.batch.maxItems);
+      }
+    };
+
+    loadValidationRules();
+  }, []);
+
   const addUrlEntry = () => {
-    if (urlEntries.length < 5) {
-      setUrlEntries([...urlEntries, { url: '', validity: '', shortcode: '' }]);
+    if (urlEntries.length < maxEntries) {
+      setUrlEntries([...urlEntries, emptyEntry()]);
       logUserInteraction('click', 'add-url-entry');
     }
   };
@@ -87,8 +145,33 @@ const UrlShortener = () => {
     logUserInteraction('click', 'generate-shortcode-suggestion', { index, suggestion });
   };
 
+  const updateUtmPresets = (presets) => {
+    setUtmPresets(presets);
+    if (!saveUtmPresets(presets)) {
+      setSnackbar({
+        open: true,
+        message: 'Could not save UTM presets in this browser',
+        severity: 'warning'
+      });
+    }
+  };
+
+  const handleSaveUtmPreset = (name, utm) => {
+    const preset = { name, utm: { ...utm } };
+    const existing = utmPresets.some(item => item.name === name);
+    updateUtmPresets(existing
+      ? utmPresets.map(item => (item.name === name ? preset : item))
+      : [...utmPresets, preset]);
+    logUserInteraction('click', 'save-utm-preset', { name, overwritten: existing });
+  };
+
+  const handleDeleteUtmPreset = (name) => {
+    updateUtmPresets(utmPresets.filter(item => item.name !== name));
+    logUserInteraction('click', 'delete-utm-preset', { name });
+  };
+
   const clearForm = () => {
-    setUrlEntries([{ url: '', validity: '', shortcode: '' }]);
+    setUrlEntries([emptyEntry()]);
     setResults([]);
     setErrors({});
     logUserInteraction('click', 'clear-form');
@@ -108,7 +191,7 @@ const UrlShortener = () => {
       return;
     }
 
-    const validationResults = validateMultipleEntries(nonEmptyEntries);
+    const validationResults = validateMultipleEntries(nonEmptyEntries, validationRules);
     const hasErrors = validationResults.some(result => !result.isValid);
 
     if (hasErrors) {
@@ -136,7 +219,10 @@ const UrlShortener = () => {
     setErrors({});
 
     try {
-      const validEntries = validationResults.map(result => result.validatedData);
+      const validEntries = validationResults.map(result => ({
+        ...result.validatedData,
+        ...(domain && { domain })
+      }));
       
       logUrlSubmitted(validEntries);
 
@@ -144,7 +230,7 @@ const UrlShortener = () => {
       const apiResults = await createMultipleShortUrls(validEntries);
       const totalTime = Date.now() - startTime;
 
-      logApiCall('POST', '/shorturls (batch)', 'mixed', totalTime, {
+      logApiCall('POST', '/shorturls/batch', 'mixed', totalTime, {
         batchSize: validEntries.length,
         results: apiResults.map(r => ({ success: r.success, status: r.error?.status }))
       });
@@ -269,9 +355,59 @@ const UrlShortener = () => {
             lineHeight: 1.6
           }}
         >
-          Transform long URLs into short, memorable links. Create up to 5 URLs simultaneously with custom shortcodes and expiry settings.
+          Transform long URLs into short, memorable links. Create up to {maxEntries} URLs simultaneously with custom shortcodes and expiry settings.
         </Typography>
 
+        {domains.length > 1 && (
+          <TextField
+            select
+            label="Domain"
+            value={domain}
+            onChange={(e) => {
+              setDomain(e.target.value);
+              logUserInteraction('change', 'select-domain', { domain: e.target.value });
+            }}
+            helperText="Short links are created under this domain"
+            sx={{
+              mb: 3,
+              minWidth: 280,
+              '& .MuiOutlinedInput-root': {
+                backgroundColor: 'rgba(255, 255, 255, 0.05)',
+                borderRadius: 2,
+                '& fieldset': {
+                  borderColor: 'rgba(99, 102, 241, 0.3)',
+                  borderWidth: 2
+                },
+                '&:hover fieldset': {
+                  borderColor: 'rgba(99, 102, 241, 0.5)'
+                },
+                '&.Mui-focused fieldset': {
+                  borderColor: '#6366f1'
+                }
+              },
+              '& .MuiInputLabel-root': {
+                color: 'rgba(255, 255, 255, 0.7)',
+                '&.Mui-focused': {
+                  color: '#6366f1'
+                }
+              },
+              '& .MuiInputBase-input': {
+                color: 'white',
+                fontSize: '1rem'
+              },
+              '& .MuiFormHelperText-root': {
+                color: 'rgba(255, 255, 255, 0.5)'
+              }
+            }}
+          >
+            {domains.map(item => (
+              <MenuItem key={item.domain} value={item.domain}>
+                {item.baseUrl.replace(/^https?:\/\//, '')}
+              </MenuItem>
+            ))}
+          </TextField>
+        )}
+
         <Grid container spacing={3}>
           {urlEntries.map((entry, index) => (
             <Grid item xs={12} key={index}>
@@ -340,7 +476,7 @@ const UrlShortener = () => {
                 </Box>
 
                 <Grid container spacing={3}>
-                  <Grid item xs={12} md={6}>
+                  <Grid item xs={12} md={5}>
                     <TextField
                       fullWidth
                       label="Long URL"
@@ -384,7 +520,7 @@ const UrlShortener = () => {
                     />
                   </Grid>
                   
-                  <Grid item xs={12} md={3}>
+                  <Grid item xs={12} md={2}>
                     <TextField
                       fullWidth
                       label="Validity (minutes)"
@@ -393,7 +529,7 @@ const UrlShortener = () => {
                       value={entry.validity}
                       onChange={(e) => updateUrlEntry(index, 'validity', e.target.value)}
                       error={!!errors[index]?.validity}
-                      helperText={errors[index]?.validity || 'Default: 30 minutes'}
+                      helperText={errors[index]?.validity || `Default: ${validationRules.validity.defaultMinutes} minutes`}
                       sx={{
                         '& .MuiOutlinedInput-root': {
                           backgroundColor: 'rgba(255, 255, 255, 0.05)',
@@ -427,6 +563,49 @@ const UrlShortener = () => {
                     />
                   </Grid>
                   
+                  <Grid item xs={12} md={2}>
+                    <TextField
+                      fullWidth
+                      label="Max clicks"
+                      placeholder="Unlimited"
+                      type="number"
+                      value={entry.maxClicks}
+                      onChange={(e) => updateUrlEntry(index, 'maxClicks', e.target.value)}
+                      error={!!errors[index]?.maxClicks}
+                      helperText={errors[index]?.maxClicks || 'Optional: one-time = 1'}
+                      sx={{
+                        '& .MuiOutlinedInput-root': {
+                          backgroundColor: 'rgba(255, 255, 255, 0.05)',
+                          borderRadius: 2,
+                          '& fieldset': {
+                            borderColor: 'rgba(99, 102, 241, 0.3)',
+                            borderWidth: 2
+                          },
+                          '&:hover fieldset': {
+                            borderColor: 'rgba(99, 102, 241, 0.5)'
+                          },
+                          '&.Mui-focused fieldset': {
+                            borderColor: '#6366f1',
+                            boxShadow: '0 0 0 3px rgba(99, 102, 241, 0.1)'
+                          }
+                        },
+                        '& .MuiInputLabel-root': {
+                          color: 'rgba(255, 255, 255, 0.7)',
+                          '&.Mui-focused': {
+                            color: '#6366f1'
+                          }
+                        },
+                        '& .MuiInputBase-input': {
+                          color: 'white',
+                          fontSize: '1rem'
+                        },
+                        '& .MuiFormHelperText-root': {
+                          color: errors[index]?.maxClicks ? '#ef4444' : 'rgba(255, 255, 255, 0.5)'
+                        }
+                      }}
+                    />
+                  </Grid>
+                  
                   <Grid item xs={12} md={3}>
                     <Box display="flex" gap={1}>
                       <TextField
@@ -436,7 +615,7 @@ const UrlShortener = () => {
                         value={entry.shortcode}
                         onChange={(e) => updateUrlEntry(index, 'shortcode', e.target.value)}
                         error={!!errors[index]?.shortcode}
-                        helperText={errors[index]?.shortcode || 'Optional: 4-10 chars'}
+                        helperText={errors[index]?.shortcode || `Optional: ${validationRules.shortcode.minLength}-${validationRules.shortcode.maxLength} chars${validationRules.shortcode.caseInsensitive ? ', case-insensitive' : ''}`}
                         sx={{
                           '& .MuiOutlinedInput-root': {
                             backgroundColor: 'rgba(255, 255, 255, 0.05)',
@@ -486,7 +665,170 @@ const UrlShortener = () => {
                       </Tooltip>
                     </Box>
                   </Grid>
+
+                  <Grid item xs={12} md={3}>
+                    <TextField
+                      select
+                      fullWidth
+                      label="Generated shortcode"
+                      value={entry.shortcodeStrategy}
+                      onChange={(e) => updateUrlEntry(index, 'shortcodeStrategy', e.target.value)}
+                      disabled={Boolean(entry.shortcode.trim())}
+                      helperText={entry.shortcode.trim() ? 'Not used with a custom shortcode' : 'How the shortcode is picked'}
+                      SelectProps={{ displayEmpty: true }}
+                      InputLabelProps={{ shrink: true }}
+                      sx={{
+                        '& .MuiOutlinedInput-root': {
+                          backgroundColor: 'rgba(255, 255, 255, 0.05)',
+                          borderRadius: 2,
+                          '& fieldset': {
+                            borderColor: 'rgba(99, 102, 241, 0.3)',
+                            borderWidth: 2
+                          },
+                          '&:hover fieldset': {
+                            borderColor: 'rgba(99, 102, 241, 0.5)'
+                          },
+                          '&.Mui-focused fieldset': {
+                            borderColor: '#6366f1',
+                            boxShadow: '0 0 0 3px rgba(99, 102, 241, 0.1)'
+                          }
+                        },
+                        '& .MuiInputLabel-root': {
+                          color: 'rgba(255, 255, 255, 0.7)',
+                          '&.Mui-focused': {
+                            color: '#6366f1'
+                          }
+                        },
+                        '& .MuiInputBase-input': {
+                          color: 'white',
+                          fontSize: '1rem'
+                        },
+                        '& .MuiFormHelperText-root': {
+                          color: 'rgba(255, 255, 255, 0.5)'
+                        }
+                      }}
+                    >
+                      <MenuItem value="">Server default</MenuItem>
+                      {Object.entries(SHORTCODE_STRATEGY_LABELS).map(([strategy, label]) => (
+                        <MenuItem key={strategy} value={strategy}>
+                          {label}
+                        </MenuItem>
+                      ))}
+                    </TextField>
+                  </Grid>
+
+                  <Grid item xs={12} md={3}>
+                    <TextField
+                      select
+                      fullWidth
+                      label="Redirect type"
+                      value={entry.redirectStatus}
+                      onChange={(e) => updateUrlEntry(index, 'redirectStatus', e.target.value)}
+                      helperText={['301', '308'].includes(entry.redirectStatus) ? 'Permanent: browsers may cache it' : 'Temporary: never cached by default'}
+                      sx={{
+                        '& .MuiOutlinedInput-root': {
+                          backgroundColor: 'rgba(255, 255, 255, 0.05)',
+                          borderRadius: 2,
+                          '& fieldset': {
+                            borderColor: 'rgba(99, 102, 241, 0.3)',
+                            borderWidth: 2
+                          },
+                          '&:hover fieldset': {
+                            borderColor: 'rgba(99, 102, 241, 0.5)'
+                          },
+                          '&.Mui-focused fieldset': {
+                            borderColor: '#6366f1',
+                            boxShadow: '0 0 0 3px rgba(99, 102, 241, 0.1)'
+                          }
+                        },
+                        '& .MuiInputLabel-root': {
+                          color: 'rgba(255, 255, 255, 0.7)',
+                          '&.Mui-focused': {
+                            color: '#6366f1'
+                          }
+                        },
+                        '& .MuiInputBase-input': {
+                          color: 'white',
+                          fontSize: '1rem'
+                        },
+                        '& .MuiFormHelperText-root': {
+                          color: 'rgba(255, 255, 255, 0.5)'
+                        }
+                      }}
+                    >
+                      {validationRules.redirect.statuses.map(status => (
+                        <MenuItem key={status} value={String(status)}>
+                          {REDIRECT_STATUS_LABELS[status] || status}
+                        </MenuItem>
+                      ))}
+                    </TextField>
+                  </Grid>
+
+                  <Grid item xs={12} md={3}>
+                    <TextField
+                      fullWidth
+                      label="Browser cache (seconds)"
+                      placeholder={['301', '308'].includes(entry.redirectStatus) ? 'Server default' : '0'}
+                      type="number"
+                      value={entry.cacheMaxAge}
+                      onChange={(e) => updateUrlEntry(index, 'cacheMaxAge', e.target.value)}
+                      error={!!errors[index]?.cacheMaxAge}
+                      helperText={errors[index]?.cacheMaxAge || 'Optional: 0 disables caching'}
+                      sx={{
+                        '& .MuiOutlinedInput-root': {
+                          backgroundColor: 'rgba(255, 255, 255, 0.05)',
+                          borderRadius: 2,
+                          '& fieldset': {
+                            borderColor: 'rgba(99, 102, 241, 0.3)',
+                            borderWidth: 2
+                          },
+                          '&:hover fieldset': {
+                            borderColor: 'rgba(99, 102, 241, 0.5)'
+                          },
+                          '&.Mui-focused fieldset': {
+                            borderColor: '#6366f1',
+                            boxShadow: '0 0 0 3px rgba(99, 102, 241, 0.1)'
+                          }
+                        },
+                        '& .MuiInputLabel-root': {
+                          color: 'rgba(255, 255, 255, 0.7)',
+                          '&.Mui-focused': {
+                            color: '#6366f1'
+                          }
+                        },
+                        '& .MuiInputBase-input': {
+                          color: 'white',
+                          fontSize: '1rem'
+                        },
+                        '& .MuiFormHelperText-root': {
+                          color: errors[index]?.cacheMaxAge ? '#ef4444' : 'rgba(255, 255, 255, 0.5)'
+                        }
+                      }}
+                    />
+                  </Grid>
                 </Grid>
+
+                <FormControlLabel
+                  control={
+                    <Switch
+                      checked={entry.preview}
+                      onChange={(e) => updateUrlEntry(index, 'preview', e.target.checked)}
+                    />
+                  }
+                  label="Show a preview page with the destination before redirecting"
+                  sx={{ mt: 2, color: 'rgba(255, 255, 255, 0.7)' }}
+                />
+
+                <UtmBuilder
+                  index={index}
+                  url={entry.url}
+                  utm={entry.utm}
+                  error={errors[index]?.utm}
+                  presets={utmPresets}
+                  onChange={(utm) => updateUrlEntry(index, 'utm', utm)}
+                  onSavePreset={handleSaveUtmPreset}
+                  onDeletePreset={handleDeleteUtmPreset}
+                />
               </Card>
             </Grid>
           ))}
@@ -496,7 +838,7 @@ const UrlShortener = () => {
           <Button
             startIcon={<AddIcon />}
             onClick={addUrlEntry}
-            disabled={urlEntries.length >= 5}
+            disabled={urlEntries.length >= maxEntries}
             sx={{
               borderRadius: 2,
               px: 3,
@@ -520,7 +862,7 @@ const UrlShortener = () => {
               transition: 'all 0.3s cubic-bezier(0.4, 0, 0.2, 1)'
             }}
           >
-            Add URL ({urlEntries.length}/5)
+            Add URL ({urlEntries.length}/{maxEntries})
           </Button>
           
           <Button
@@ -750,7 +1092,12 @@ const UrlShortener = () => {
                           }}
                         >
                           Expires: {formatDate(result.data.expiry)}
+                          {result.originalData.maxClicks && ` • Limited to ${result.originalData.maxClicks} click${result.originalData.maxClicks === 1 ? '' : 's'}`}
                         </Typography>
+
+                        <Box mt={2}>
+                          <QrCodePanel shortcode={extractShortcode(result.data.shortLink)} />
+                        </Box>
                       </Box>
                     ) : (
                       <Box>
@@ -2,6 +2,24 @@ import axios from 'axios';
 
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3100';
 
+// The API key is entered by the user at runtime and kept for the browser tab
+// only; it is never part of the build.
+const API_KEY_STORAGE_KEY = 'apiKey';
+
+export const getApiKey = () => sessionStorage.getItem(API_KEY_STORAGE_KEY) || '';
+
+/**
+ * Store the API key for this tab; a blank key removes it
+ */
+export const setApiKey = (key) => {
+  const trimmed = key?.trim();
+  if (trimmed) {
+    sessionStorage.setItem(API_KEY_STORAGE_KEY, trimmed);
+  } else {
+    sessionStorage.removeItem(API_KEY_STORAGE_KEY);
+  }
+};
+
 // Create axios instance with default config
 const api = axios.create({
   baseURL: API_BASE_URL,
@@ -11,10 +29,14 @@ const api = axios.create({
   },
 });
 
-// Request interceptor to log outgoing requests
+// Request interceptor to log outgoing requests and attach the API key
 api.interceptors.request.use(
   (config) => {
     config.metadata = { startTime: new Date() };
+    const apiKey = getApiKey();
+    if (apiKey) {
+      config.headers['X-API-Key'] = apiKey;
+    }
     return config;
   },
   (error) => {
@@ -62,9 +84,9 @@ export const createShortUrl = async (urlData) => {
 /**
  * Get statistics for a shortened URL
  */
-export const getUrlStatistics = async (shortcode) => {
+export const getUrlStatistics = async (shortcode, params = {}) => {
   try {
-    const response = await api.get(`/shorturls/${shortcode}`);
+    const response = await api.get(`/shorturls/${shortcode}`, { params });
     return {
       success: true,
       data: response.data,
@@ -80,19 +102,138 @@ export const getUrlStatistics = async (shortcode) => {
   }
 };
 
+/**
+ * Get bucketed click counts and top referrers, countries, browsers and OS
+ */
+export const getUrlAnalytics = async (shortcode, params = {}) => {
+  try {
+    const response = await api.get(`/shorturls/${shortcode}/analytics`, { params });
+    return {
+      success: true,
+      data: response.data,
+      responseTime: response.responseTime
+    };
+  } catch (error) {
+    console.error('Error getting URL analytics:', error);
+    return {
+      success: false,
+      error: error.response?.data || { message: 'Network error' },
+      responseTime: error.responseTime
+    };
+  }
+};
+
+/**
+ * Get one page of raw clicks, newest first
+ */
+export const getUrlClicks = async (shortcode, params = {}) => {
+  try {
+    const response = await api.get(`/shorturls/${shortcode}/clicks`, { params });
+    return {
+      success: true,
+      data: response.data,
+      responseTime: response.responseTime
+    };
+  } catch (error) {
+    console.error('Error getting URL clicks:', error);
+    return {
+      success: false,
+      error: error.response?.data || { message: 'Network error' },
+      responseTime: error.responseTime
+    };
+  }
+};
+
+/**
+ * Get the QR code of a short link as a Blob (PNG or SVG)
+ */
+export const getQrCode = async (shortcode, params = {}) => {
+  try {
+    const response = await api.get(`/shorturls/${shortcode}/qr`, { params, responseType: 'blob' });
+    return {
+      success: true,
+      data: response.data,
+      responseTime: response.responseTime
+    };
+  } catch (error) {
+    console.error('Error getting QR code:', error);
+    return {
+      success: false,
+      error: { message: 'Failed to load QR code' },
+      responseTime: error.responseTime
+    };
+  }
+};
 
+/**
+ * Create several shortened URLs in a single round-trip. Items that fail do not
+ * prevent the others from being created.
+ */
 export const createMultipleShortUrls = async (urlDataArray) => {
-  const results = [];
-  
-  for (const urlData of urlDataArray) {
-    const result = await createShortUrl(urlData);
-    results.push({
-      ...result,
-      originalData: urlData
+  try {
+    const response = await api.post('/shorturls/batch', {
+      items: urlDataArray,
+      mode: 'best-effort'
     });
+
+    return response.data.results.map((result, index) => ({
+      success: result.success,
+      data: result.success ? { shortLink: result.shortLink, expiry: result.expiry } : undefined,
+      error: result.success ? undefined : { error: result.error, message: result.message, status: result.status },
+      responseTime: response.responseTime,
+      originalData: urlDataArray[index]
+    }));
+  } catch (error) {
+    console.error('Error creating short URL batch:', error);
+    return urlDataArray.map(urlData => ({
+      success: false,
+      error: error.response?.data || { message: 'Network error' },
+      responseTime: error.responseTime,
+      originalData: urlData
+    }));
+  }
+};
+
+/**
+ * Get the domains short links can be created under
+ */
+export const getDomains = async () => {
+  try {
+    const response = await api.get('/domains');
+    return {
+      success: true,
+      data: response.data,
+      responseTime: response.responseTime
+    };
+  } catch (error) {
+    console.error('Error getting domains:', error);
+    return {
+      success: false,
+      error: error.response?.data || { message: 'Network error' },
+      responseTime: error.responseTime
+    };
+  }
+};
+
+/**
+ * Get the server's input limits, including its reserved words and shortcode case sensitivity
+ */
+export const getValidationConfig = async () => {
+  try {
+    const response = await api.get('/config/validation');
+    return {
+      success: true,
+      data: response.data,
+      responseTime: response.responseTime
+    };
+  } catch (error) {
+    console.error('Error getting validation config:', error);
+    return {
+      success: false,
+      error: error.response?.data || { message: 'Network error' },
+      responseTime: error.responseTime
+    };
   }
-  
-  return results;
 };
 
 export const checkHealth = async () => {
@@ -1,3 +1,5 @@
+import { LIMITS } from 'shared-validation';
+
 export const formatDate = (dateString) => {
   try {
     const date = new Date(dateString);
@@ -129,6 +131,98 @@ export const extractDomain = (url) => {
   }
 };
 
+/**
+ * Extract the shortcode from a short link
+ */
+export const extractShortcode = (shortLink) => {
+  try {
+    return new URL(shortLink).pathname.split('/').filter(Boolean).pop();
+  } catch (error) {
+    return shortLink;
+  }
+};
+
+/**
+ * Save a Blob to disk under the given file name
+ */
+export const downloadBlob = (blob, filename) => {
+  const objectUrl = URL.createObjectURL(blob);
+  const anchor = document.createElement('a');
+  anchor.href = objectUrl;
+  anchor.download = filename;
+  document.body.appendChild(anchor);
+  anchor.click();
+  document.body.removeChild(anchor);
+  URL.revokeObjectURL(objectUrl);
+};
+
+export const UTM_FIELDS = LIMITS.utm.fields;
+
+export const emptyUtm = () => UTM_FIELDS.reduce((utm, field) => ({ ...utm, [field]: '' }), {});
+
+/**
+ * Apply UTM parameters to a URL the same way the server does, for previews
+ */
+export const buildUtmUrl = (url, utm) => {
+  try {
+    const target = new URL(url.trim());
+    UTM_FIELDS.forEach(field => {
+      if (utm?.[field]?.trim()) {
+        target.searchParams.set(`utm_${field}`, utm[field].trim());
+      }
+    });
+    return target.toString();
+  } catch (error) {
+    return null;
+  }
+};
+
+const UTM_PRESETS_KEY = 'utmPresets';
+
+export const loadUtmPresets = () => {
+  try {
+    const presets = JSON.parse(localStorage.getItem(UTM_PRESETS_KEY));
+    return Array.isArray(presets) ? presets : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+export const saveUtmPresets = (presets) => {
+  try {
+    localStorage.setItem(UTM_PRESETS_KEY, JSON.stringify(presets));
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+export const REDIRECT_STATUS_LABELS = {
+  301: '301 Moved Permanently',
+  302: '302 Found',
+  307: '307 Temporary Redirect',
+  308: '308 Permanent Redirect'
+};
+
+export const SHORTCODE_STRATEGY_LABELS = {
+  random: 'Random characters',
+  sequential: 'Sequential counter',
+  words: 'Word pair (e.g. swiftotter)'
+};
+
+/**
+ * Describe how long browsers may cache a link's redirect
+ */
+export const describeRedirectCaching = ({ status, cacheMaxAge }) => {
+  if (cacheMaxAge === null || cacheMaxAge === undefined) {
+    return [301, 308].includes(status) ? 'Cached by browsers (server default)' : 'Never cached';
+  }
+  if (cacheMaxAge === 0) return 'Never cached';
+  if (cacheMaxAge % 86400 === 0) return `Cached for ${cacheMaxAge / 86400} day(s)`;
+  if (cacheMaxAge % 3600 === 0) return `Cached for ${cacheMaxAge / 3600} hour(s)`;
+  return `Cached for ${cacheMaxAge} seconds`;
+};
+
 /**
  * Generate a random shortcode suggestion
  */
@@ -1,62 +1,26 @@
-export const validateUrl = (url) => {
-  if (!url || url.trim() === '') {
-    return {
-      isValid: false,
-      error: 'URL is required'
-    };
-  }
+import * as sharedValidation from 'shared-validation';
 
-  const trimmedUrl = url.trim();
-
-  if (trimmedUrl.includes(' ')) {
-    return {
-      isValid: false,
-      error: 'URL cannot contain spaces'
-    };
-  }
-
-  const urlPattern = /^https?:\/\/.+/i;
-  if (!urlPattern.test(trimmedUrl)) {
-    return {
-      isValid: false,
-      error: 'URL must start with http:// or https://'
-    };
-  }
-
-  try {
-    const urlObj = new URL(trimmedUrl);
-    
-    // Additional validation for hostname format - more permissive for subdomains
-    const hostnameRegex = /^[a-zA-Z0-9.-]+$/;
-    if (!hostnameRegex.test(urlObj.hostname) || !urlObj.hostname.includes('.')) {
-      return {
-        isValid: false,
-        error: 'URL must have a valid domain name'
-      };
-    }
+const { LIMITS, parseFormNumber } = sharedValidation;
 
-    if (urlObj.hostname.startsWith('-') || urlObj.hostname.endsWith('-') || 
-        urlObj.hostname.startsWith('.') || urlObj.hostname.endsWith('.')) {
-      return {
-        isValid: false,
-        error: 'URL domain name format is invalid'
-      };
-    }
+// URL, shortcode, validity, click limit, UTM and redirect rules come from the
+// package the backend uses too; form values are parsed the way the API
+// expects first.
+export const validateUrl = (url) => {
+  return sharedValidation.validateUrl(url);
+};
 
-    return {
-      isValid: true,
-      error: null,
-      normalizedUrl: trimmedUrl
-    };
-  } catch (error) {
-    return {
-      isValid: false,
-      error: 'Invalid URL format'
-    };
+// Used until the server's rules from GET /config/validation have loaded; the
+// server validates again either way.
+export const DEFAULT_VALIDATION_RULES = {
+  ...LIMITS,
+  shortcode: {
+    ...LIMITS.shortcode,
+    caseInsensitive: false,
+    reservedWords: []
   }
 };
 
-export const validateShortcode = (shortcode) => {
+export const validateShortcode = (shortcode, rules = DEFAULT_VALIDATION_RULES.shortcode) => {
   if (!shortcode || shortcode.trim() === '') {
     return {
       isValid: true,
@@ -64,73 +28,59 @@ export const validateShortcode = (shortcode) => {
     };
   }
 
-  const trimmedShortcode = shortcode.trim();
-
-  if (trimmedShortcode.length < 4 || trimmedShortcode.length > 10) {
-    return {
-      isValid: false,
-      error: 'Shortcode must be between 4 and 10 characters'
-    };
-  }
-
-  const alphanumericPattern = /^[a-zA-Z0-9]+$/;
-  if (!alphanumericPattern.test(trimmedShortcode)) {
-    return {
-      isValid: false,
-      error: 'Shortcode can only contain letters and numbers'
-    };
-  }
+  return sharedValidation.validateShortcode(shortcode.trim(), rules);
+};
 
-  const reservedWords = ['api', 'admin', 'www', 'shorturls', 'health', 'stats'];
-  if (reservedWords.includes(trimmedShortcode.toLowerCase())) {
-    return {
-      isValid: false,
-      error: 'This shortcode is reserved. Please choose another.'
-    };
-  }
+export const validateValidity = (validity, limits = DEFAULT_VALIDATION_RULES.validity) => {
+  return sharedValidation.validateValidity(parseFormNumber(validity), limits);
+};
 
+export const validateMaxClicks = (maxClicks, limits = DEFAULT_VALIDATION_RULES.maxClicks) => {
+  const result = sharedValidation.validateMaxClicks(parseFormNumber(maxClicks), limits);
   return {
-    isValid: true,
-    error: null
+    ...result,
+    value: result.value ?? undefined
   };
 };
 
-export const validateValidity = (validity) => {
-  if (!validity || validity.trim() === '') {
-    return {
-      isValid: true,
-      error: null,
-      value: 30
-    };
-  }
-
-  const numericValue = parseInt(validity.trim(), 10);
-
-  if (isNaN(numericValue)) {
-    return {
-      isValid: false,
-      error: 'Validity must be a number'
-    };
-  }
+/**
+ * Validate the UTM builder fields of an entry. Blank fields are dropped and
+ * `value` is undefined when nothing was filled in.
+ */
+export const validateUtm = (utm, limits = DEFAULT_VALIDATION_RULES.utm) => {
+  const trimmed = Object.fromEntries(Object.entries(utm || {}).map(([field, text]) => [field, text?.trim()]));
+  const result = sharedValidation.validateUtm(trimmed, limits);
+  return {
+    ...result,
+    value: result.value ?? undefined
+  };
+};
 
-  if (numericValue < 1 || numericValue > 43200) {
-    return {
-      isValid: false,
-      error: 'Validity must be between 1 and 43200 minutes (30 days)'
-    };
+/**
+ * Validate the redirect status and browser cache lifetime of an entry.
+ * `value` is undefined for the default, an uncached redirect with the
+ * default status.
+ */
+export const validateRedirect = (status, cacheMaxAge, limits = DEFAULT_VALIDATION_RULES.redirect) => {
+  const result = sharedValidation.validateRedirect({
+    status: parseFormNumber(status),
+    cacheMaxAge: parseFormNumber(cacheMaxAge)
+  }, limits);
+  if (!result.isValid) {
+    return result;
   }
 
+  const { status: validStatus, cacheMaxAge: validCacheMaxAge } = result.value;
   return {
-    isValid: true,
-    error: null,
-    value: numericValue
+    ...result,
+    value: validStatus === limits.defaultStatus && validCacheMaxAge === null ? undefined : result.value
   };
 };
 
 /**
  * Validate a complete URL form entry
  */
-export const validateUrlEntry = (entry) => {
+export const validateUrlEntry = (entry, rules = DEFAULT_VALIDATION_RULES) => {
   const errors = {};
   
   const urlValidation = validateUrl(entry.url);
@@ -138,41 +88,69 @@ export const validateUrlEntry = (entry) => {
     errors.url = urlValidation.error;
   }
 
-  const shortcodeValidation = validateShortcode(entry.shortcode);
+  const shortcodeValidation = validateShortcode(entry.shortcode, rules.shortcode);
   if (!shortcodeValidation.isValid) {
     errors.shortcode = shortcodeValidation.error;
   }
 
-  const validityValidation = validateValidity(entry.validity);
+  const validityValidation = validateValidity(entry.validity, rules.validity);
   if (!validityValidation.isValid) {
     errors.validity = validityValidation.error;
   }
 
+  const maxClicksValidation = validateMaxClicks(entry.maxClicks, rules.maxClicks);
+  if (!maxClicksValidation.isValid) {
+    errors.maxClicks = maxClicksValidation.error;
+  }
+
+  const redirectValidation = validateRedirect(entry.redirectStatus, entry.cacheMaxAge, rules.redirect);
+  if (!redirectValidation.isValid) {
+    errors.cacheMaxAge = redirectValidation.error;
+  } else if (redirectValidation.value?.cacheMaxAge > 0 && maxClicksValidation.value !== undefined) {
+    // A cached redirect would never reach the server to be counted.
+    errors.cacheMaxAge = 'Links with a click limit cannot be cached; leave this empty or 0';
+  }
+
+  const utmValidation = validateUtm(entry.utm, rules.utm);
+  if (!utmValidation.isValid) {
+    errors.utm = utmValidation.error;
+  }
+
   return {
     isValid: Object.keys(errors).length === 0,
     errors,
     validatedData: {
       url: entry.url?.trim(),
       shortcode: entry.shortcode?.trim() || undefined,
-      validity: validityValidation.value
+      shortcodeOptions: entry.shortcodeStrategy && !entry.shortcode?.trim()
+        ? { strategy: entry.shortcodeStrategy }
+        : undefined,
+      validity: validityValidation.value,
+      maxClicks: maxClicksValidation.value,
+      redirect: redirectValidation.value,
+      preview: entry.preview || undefined,
+      utm: utmValidation.value
     }
   };
 };
 
-export const validateMultipleEntries = (entries) => {
+export const validateMultipleEntries = (entries, rules = DEFAULT_VALIDATION_RULES) => {
   const results = [];
   const shortcodes = new Set();
   
   for (let i = 0; i < entries.length; i++) {
     const entry = entries[i];
-    const validation = validateUrlEntry(entry);
+    const validation = validateUrlEntry(entry, rules);
     
     if (validation.validatedData.shortcode) {
-      if (shortcodes.has(validation.validatedData.shortcode.toLowerCase())) {
+      const key = rules.shortcode.caseInsensitive
+        ? validation.validatedData.shortcode.toLowerCase()
+        : validation.validatedData.shortcode;
+      if (shortcodes.has(key)) {
         validation.isValid = false;
         validation.errors.shortcode = 'Duplicate shortcode in this batch';
       } else {
-        shortcodes.add(validation.validatedData.shortcode.toLowerCase());
+        shortcodes.add(key);
       }
     }
     
@@ -147,6 +147,23 @@ const logUrlCreated = (originalUrl, shortCode, expiresAt, meta = {}) => {
   });
 };
 
+const logUrlUpdated = (shortCode, changes, meta = {}) => {
+  logInfo('Short URL updated', {
+    action: 'URL_UPDATED',
+    shortCode,
+    changes,
+    ...meta
+  });
+};
+
+const logUrlDeleted = (shortCode, meta = {}) => {
+  logInfo('Short URL deleted', {
+    action: 'URL_DELETED',
+    shortCode,
+    ...meta
+  });
+};
+
 const logUrlAccessed = (shortCode, originalUrl, userAgent, ip, referrer, meta = {}) => {
   logInfo('Short URL accessed', {
     action: 'URL_ACCESSED',
@@ -160,6 +177,15 @@ const logUrlAccessed = (shortCode, originalUrl, userAgent, ip, referrer, meta =
   });
 };
 
+const logUrlPreviewed = (shortCode, destination, meta = {}) => {
+  logInfo('Short URL previewed', {
+    action: 'URL_PREVIEWED',
+    shortCode,
+    destination,
+    ...meta
+  });
+};
+
 const logUrlNotFound = (shortCode, meta = {}) => {
   logWarn('Short URL not found', {
     action: 'URL_NOT_FOUND',
@@ -176,6 +202,35 @@ const logUrlExpired = (shortCode, meta = {}) => {
   });
 };
 
+const logUrlNotYetActive = (shortCode, activatesAt, meta = {}) => {
+  logWarn('Short URL not yet active', {
+    action: 'URL_NOT_YET_ACTIVE',
+    shortCode,
+    activatesAt,
+    ...meta
+  });
+};
+
+const logExpirySweep = (archivedCount, purgedCount, meta = {}) => {
+  const log = archivedCount > 0 || purgedCount > 0 ? logInfo : logDebug;
+  log('Expiry sweep completed', {
+    action: 'EXPIRY_SWEEP',
+    archivedCount,
+    purgedCount,
+    ...meta
+  });
+};
+
+const logPasswordAttemptFailed = (shortCode, ip, attempts, meta = {}) => {
+  logWarn('Short URL password attempt failed', {
+    action: 'PASSWORD_ATTEMPT_FAILED',
+    shortCode,
+    ip,
+    attempts,
+    ...meta
+  });
+};
+
 const logShortCodeCollision = (shortCode, meta = {}) => {
   logWarn('Short code collision detected', {
     action: 'SHORTCODE_COLLISION',
@@ -184,6 +239,137 @@ const logShortCodeCollision = (shortCode, meta = {}) => {
   });
 };
 
+const logShortcodeSpaceExhausted = (strategy, attempts, meta = {}) => {
+  logWarn('No free shortcode found', {
+    action: 'SHORTCODE_SPACE_EXHAUSTED',
+    strategy,
+    attempts,
+    ...meta
+  });
+};
+
+const logAuthFailure = (reason, meta = {}) => {
+  logWarn('Authentication failed', {
+    action: 'AUTH_FAILURE',
+    reason,
+    ...meta
+  });
+};
+
+const logApiKeyCreated = (keyId, owner, meta = {}) => {
+  logInfo('API key created', {
+    action: 'API_KEY_CREATED',
+    keyId,
+    owner,
+    ...meta
+  });
+};
+
+const logApiKeyRevoked = (keyId, owner, meta = {}) => {
+  logInfo('API key revoked', {
+    action: 'API_KEY_REVOKED',
+    keyId,
+    owner,
+    ...meta
+  });
+};
+
+const logWebhookCreated = (webhookId, owner, events, meta = {}) => {
+  logInfo('Webhook registered', {
+    action: 'WEBHOOK_CREATED',
+    webhookId,
+    owner,
+    events,
+    ...meta
+  });
+};
+
+const logWebhookDeleted = (webhookId, owner, meta = {}) => {
+  logInfo('Webhook removed', {
+    action: 'WEBHOOK_DELETED',
+    webhookId,
+    owner,
+    ...meta
+  });
+};
+
+const logWebhookDelivery = (webhookId, deliveryId, event, status, meta = {}) => {
+  const log = status === 'succeeded' ? logInfo : logWarn;
+  log('Webhook delivery attempted', {
+    action: 'WEBHOOK_DELIVERY',
+    webhookId,
+    deliveryId,
+    event,
+    status,
+    ...meta
+  });
+};
+
+const logDestinationRejected = (url, reason, meta = {}) => {
+  logWarn('Destination rejected', {
+    action: 'DESTINATION_REJECTED',
+    url,
+    reason,
+    ...meta
+  });
+};
+
+const logUrlBlocked = (shortCode, destination, reason, meta = {}) => {
+  logWarn('Short URL blocked', {
+    action: 'URL_BLOCKED',
+    shortCode,
+    destination,
+    reason,
+    ...meta
+  });
+};
+
+const logBlockedUrlAccessed = (shortCode, reason, meta = {}) => {
+  logWarn('Blocked short URL accessed', {
+    action: 'BLOCKED_URL_ACCESSED',
+    shortCode,
+    reason,
+    ...meta
+  });
+};
+
+const logUrlUnblocked = (shortCode, meta = {}) => {
+  logInfo('Short URL unblocked', {
+    action: 'URL_UNBLOCKED',
+    shortCode,
+    ...meta
+  });
+};
+
+const logDestinationRecheck = (changedCount, meta = {}) => {
+  const log = changedCount > 0 ? logInfo : logDebug;
+  log('Destination re-check completed', {
+    action: 'DESTINATION_RECHECK',
+    changedCount,
+    ...meta
+  });
+};
+
+const logHealthCheckRun = (summary, meta = {}) => {
+  const log = summary.degraded > 0 || summary.broken > 0 ? logInfo : logDebug;
+  log('Link health check completed', {
+    action: 'HEALTH_CHECK_RUN',
+    ...summary,
+    ...meta
+  });
+};
+
+const logUrlHealthChanged = (shortCode, previousStatus, status, meta = {}) => {
+  const log = status === 'healthy' ? logInfo : logWarn;
+  log('Short URL health changed', {
+    action: 'URL_HEALTH_CHANGED',
+    shortCode,
+    previousStatus,
+    status,
+    ...meta
+  });
+};
+
 const logValidationError = (field, value, reason, meta = {}) => {
   logWarn('Validation error', {
     action: 'VALIDATION_ERROR',
@@ -203,9 +389,29 @@ module.exports = {
   logDebug,
   logHttp,
   logUrlCreated,
+  logUrlUpdated,
+  logUrlDeleted,
   logUrlAccessed,
+  logUrlPreviewed,
   logUrlNotFound,
   logUrlExpired,
+  logUrlNotYetActive,
+  logExpirySweep,
+  logPasswordAttemptFailed,
   logShortCodeCollision,
-  logValidationError
+  logShortcodeSpaceExhausted,
+  logValidationError,
+  logAuthFailure,
+  logApiKeyCreated,
+  logApiKeyRevoked,
+  logWebhookCreated,
+  logWebhookDeleted,
+  logWebhookDelivery,
+  logDestinationRejected,
+  logUrlBlocked,
+  logBlockedUrlAccessed,
+  logUrlUnblocked,
+  logDestinationRecheck,
+  logHealthCheckRun,
+  logUrlHealthChanged
 };
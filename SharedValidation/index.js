@@ -0,0 +1,345 @@
+// Validation rules shared by the backend and the frontend. Everything here
+// runs unchanged in Node.js and in the browser, so it may only rely on the
+// language and the WHATWG URL class. Validators take values in their API form
+// (numbers for numeric fields); form input goes through parseFormNumber first.
+// Limits default to LIMITS; the frontend passes the ones the server reports
+// at GET /config/validation, so an older bundle still checks what the server
+// will.
+
+const LIMITS = {
+  url: {
+    protocols: ['http', 'https']
+  },
+  shortcode: {
+    minLength: 4,
+    maxLength: 10,
+    pattern: '^[a-zA-Z0-9]+$'
+  },
+  validity: {
+    minMinutes: 1,
+    maxMinutes: 43200,
+    defaultMinutes: 30
+  },
+  maxClicks: {
+    min: 1,
+    max: 1000000
+  },
+  utm: {
+    fields: ['source', 'medium', 'campaign', 'term', 'content'],
+    maxLength: 200
+  },
+  redirect: {
+    statuses: [301, 302, 307, 308],
+    defaultStatus: 302,
+    maxCacheAgeSeconds: 365 * 24 * 60 * 60
+  }
+};
+
+const SHORTCODE_PATTERN = new RegExp(LIMITS.shortcode.pattern);
+const HOSTNAME_PATTERN = /^[a-zA-Z0-9.-]+$/;
+
+/**
+ * Turns a form field into the value the API expects: blank becomes
+ * undefined and whole numbers become numbers. Anything else is returned
+ * trimmed, so the validators reject it instead of guessing, e.g. `parseInt`
+ * would read "12abc" as 12.
+ */
+const parseFormNumber = (text) => {
+  const trimmed = String(text ?? '').trim();
+  if (trimmed === '') {
+    return undefined;
+  }
+  return /^\d+$/.test(trimmed) ? Number(trimmed) : trimmed;
+};
+
+/**
+ * Checks that `url` is an absolute http(s) URL with a dotted domain name.
+ * Deployment-specific checks, like the backend's destination policy, are
+ * left to the caller.
+ */
+const validateUrl = (url) => {
+  if (url === undefined || url === null || (typeof url === 'string' && url.trim() === '')) {
+    return {
+      isValid: false,
+      error: 'URL is required'
+    };
+  }
+
+  if (typeof url !== 'string') {
+    return {
+      isValid: false,
+      error: 'URL must be a string'
+    };
+  }
+
+  const trimmedUrl = url.trim();
+
+  if (trimmedUrl.includes(' ')) {
+    return {
+      isValid: false,
+      error: 'URL cannot contain spaces'
+    };
+  }
+
+  if (!/^https?:\/\//i.test(trimmedUrl)) {
+    return {
+      isValid: false,
+      error: 'URL must start with http:// or https://'
+    };
+  }
+
+  let urlObj;
+  try {
+    urlObj = new URL(trimmedUrl);
+  } catch (error) {
+    return {
+      isValid: false,
+      error: 'Invalid URL format'
+    };
+  }
+
+  const { hostname } = urlObj;
+  if (!HOSTNAME_PATTERN.test(hostname) || !hostname.includes('.')) {
+    return {
+      isValid: false,
+      error: 'URL must have a valid domain name'
+    };
+  }
+
+  if (hostname.startsWith('-') || hostname.endsWith('-') ||
+      hostname.startsWith('.') || hostname.endsWith('.')) {
+    return {
+      isValid: false,
+      error: 'URL domain name format is invalid'
+    };
+  }
+
+  return {
+    isValid: true,
+    error: null,
+    normalizedUrl: trimmedUrl
+  };
+};
+
+/**
+ * Checks a custom shortcode. Reserved words are server configuration, so
+ * they are passed in; they are compared case-insensitively.
+ */
+const validateShortcode = (shortcode, {
+  reservedWords = [],
+  minLength = LIMITS.shortcode.minLength,
+  maxLength = LIMITS.shortcode.maxLength
+} = {}) => {
+  if (!shortcode) {
+    return {
+      isValid: false,
+      error: 'Shortcode cannot be empty'
+    };
+  }
+
+  if (typeof shortcode !== 'string') {
+    return {
+      isValid: false,
+      error: 'Shortcode must be a string'
+    };
+  }
+
+  if (shortcode.length < minLength || shortcode.length > maxLength) {
+    return {
+      isValid: false,
+      error: `Shortcode must be between ${minLength} and ${maxLength} characters long`
+    };
+  }
+
+  if (!SHORTCODE_PATTERN.test(shortcode)) {
+    return {
+      isValid: false,
+      error: 'Shortcode can only contain alphanumeric characters (a-z, A-Z, 0-9)'
+    };
+  }
+
+  if (reservedWords.includes(shortcode.toLowerCase())) {
+    return {
+      isValid: false,
+      error: 'Shortcode uses a reserved word. Please choose a different shortcode.'
+    };
+  }
+
+  return {
+    isValid: true,
+    error: null
+  };
+};
+
+const validateValidity = (validity, { minMinutes, maxMinutes, defaultMinutes } = LIMITS.validity) => {
+  if (validity === undefined || validity === null) {
+    return {
+      isValid: true,
+      error: null,
+      value: defaultMinutes
+    };
+  }
+
+  if (!Number.isInteger(validity)) {
+    return {
+      isValid: false,
+      error: 'Validity must be an integer'
+    };
+  }
+
+  if (validity < minMinutes || validity > maxMinutes) {
+    return {
+      isValid: false,
+      error: `Validity must be between ${minMinutes} and ${maxMinutes} minutes${maxMinutes % 1440 === 0 ? ` (${maxMinutes / 1440} days)` : ''}`
+    };
+  }
+
+  return {
+    isValid: true,
+    error: null,
+    value: validity
+  };
+};
+
+const validateMaxClicks = (maxClicks, { min, max } = LIMITS.maxClicks) => {
+  if (maxClicks === undefined || maxClicks === null) {
+    return {
+      isValid: true,
+      error: null,
+      value: null
+    };
+  }
+
+  if (!Number.isInteger(maxClicks) || maxClicks < min || maxClicks > max) {
+    return {
+      isValid: false,
+      error: `Max clicks must be an integer between ${min} and ${max}`
+    };
+  }
+
+  return {
+    isValid: true,
+    error: null,
+    value: maxClicks
+  };
+};
+
+/**
+ * Checks UTM parameters such as `{ source: 'newsletter', medium: 'email' }`.
+ * Blank fields are dropped; `value` is null when none is left. `source` is
+ * required once any field is set.
+ */
+const validateUtm = (utm, { fields, maxLength } = LIMITS.utm) => {
+  if (utm === undefined || utm === null) {
+    return {
+      isValid: true,
+      error: null,
+      value: null
+    };
+  }
+
+  if (typeof utm !== 'object' || Array.isArray(utm)) {
+    return {
+      isValid: false,
+      error: `UTM must be an object with any of: ${fields.join(', ')}`
+    };
+  }
+
+  const unknownField = Object.keys(utm).find(field => !fields.includes(field));
+  if (unknownField) {
+    return {
+      isValid: false,
+      error: `Unknown UTM field "${unknownField}". Supported fields: ${fields.join(', ')}`
+    };
+  }
+
+  const value = {};
+  for (const field of fields) {
+    if (utm[field] === undefined || utm[field] === null || utm[field] === '') continue;
+
+    if (typeof utm[field] !== 'string' || utm[field].trim() === '' || utm[field].trim().length > maxLength) {
+      return {
+        isValid: false,
+        error: `UTM ${field} must be a non-empty string of at most ${maxLength} characters`
+      };
+    }
+    value[field] = utm[field].trim();
+  }
+
+  if (Object.keys(value).length === 0) {
+    return {
+      isValid: true,
+      error: null,
+      value: null
+    };
+  }
+
+  if (!value.source) {
+    return {
+      isValid: false,
+      error: 'UTM source is required when other UTM fields are set'
+    };
+  }
+
+  return {
+    isValid: true,
+    error: null,
+    value
+  };
+};
+
+/**
+ * Checks the redirect status and browser cache lifetime of a link, e.g.
+ * `{ status: 301, cacheMaxAge: 86400 }`. Missing settings fall back to an
+ * uncached redirect with the default status.
+ */
+const validateRedirect = (redirect, { statuses, defaultStatus, maxCacheAgeSeconds } = LIMITS.redirect) => {
+  if (redirect === undefined || redirect === null) {
+    return {
+      isValid: true,
+      error: null,
+      value: { status: defaultStatus, cacheMaxAge: null }
+    };
+  }
+
+  if (typeof redirect !== 'object' || Array.isArray(redirect)) {
+    return {
+      isValid: false,
+      error: 'Redirect must be an object such as { "status": 301, "cacheMaxAge": 86400 }'
+    };
+  }
+
+  const { status = defaultStatus, cacheMaxAge = null } = redirect;
+
+  if (!statuses.includes(status)) {
+    return {
+      isValid: false,
+      error: `Redirect status must be one of: ${statuses.join(', ')}`
+    };
+  }
+
+  if (cacheMaxAge !== null &&
+      (!Number.isInteger(cacheMaxAge) || cacheMaxAge < 0 || cacheMaxAge > maxCacheAgeSeconds)) {
+    return {
+      isValid: false,
+      error: `Redirect cacheMaxAge must be null or a whole number of seconds between 0 and ${maxCacheAgeSeconds}`
+    };
+  }
+
+  return {
+    isValid: true,
+    error: null,
+    value: { status, cacheMaxAge }
+  };
+};
+
+module.exports = {
+  LIMITS,
+  parseFormNumber,
+  validateUrl,
+  validateShortcode,
+  validateValidity,
+  validateMaxClicks,
+  validateUtm,
+  validateRedirect
+};
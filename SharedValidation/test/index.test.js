@@ -0,0 +1,117 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  LIMITS,
+  parseFormNumber,
+  validateUrl,
+  validateShortcode,
+  validateValidity,
+  validateMaxClicks,
+  validateUtm,
+  validateRedirect
+} = require('..');
+
+test('parseFormNumber only turns whole numbers into numbers', () => {
+  assert.equal(parseFormNumber(''), undefined);
+  assert.equal(parseFormNumber('   '), undefined);
+  assert.equal(parseFormNumber(undefined), undefined);
+  assert.equal(parseFormNumber(' 12 '), 12);
+  assert.equal(parseFormNumber('0'), 0);
+
+  // parseInt would read these as 12, 1 and 1.
+  assert.equal(parseFormNumber('12abc'), '12abc');
+  assert.equal(parseFormNumber('1.5'), '1.5');
+  assert.equal(parseFormNumber('1e3'), '1e3');
+  assert.equal(parseFormNumber('-5'), '-5');
+});
+
+test('form input that is not a whole number fails validation instead of being guessed', () => {
+  for (const input of ['12abc', '1.5', '1e3', '-5']) {
+    assert.equal(validateValidity(parseFormNumber(input)).isValid, false, input);
+    assert.equal(validateMaxClicks(parseFormNumber(input)).isValid, false, input);
+  }
+
+  assert.deepEqual(validateValidity(parseFormNumber('')), { isValid: true, error: null, value: LIMITS.validity.defaultMinutes });
+  assert.deepEqual(validateMaxClicks(parseFormNumber('')), { isValid: true, error: null, value: null });
+  assert.equal(validateMaxClicks(parseFormNumber('12')).value, 12);
+});
+
+test('validity and click limits apply at their bounds', () => {
+  const { minMinutes, maxMinutes } = LIMITS.validity;
+  assert.equal(validateValidity(minMinutes).isValid, true);
+  assert.equal(validateValidity(maxMinutes).isValid, true);
+  assert.equal(validateValidity(minMinutes - 1).isValid, false);
+  assert.equal(validateValidity(maxMinutes + 1).isValid, false);
+
+  const { min, max } = LIMITS.maxClicks;
+  assert.equal(validateMaxClicks(min).isValid, true);
+  assert.equal(validateMaxClicks(max).isValid, true);
+  assert.equal(validateMaxClicks(min - 1).isValid, false);
+  assert.equal(validateMaxClicks(max + 1).isValid, false);
+});
+
+test('limits reported by the server take precedence over the bundled ones', () => {
+  const serverLimits = {
+    validity: { minMinutes: 5, maxMinutes: 60, defaultMinutes: 10 },
+    maxClicks: { min: 1, max: 50 },
+    shortcode: { minLength: 6, maxLength: 8, reservedWords: [] }
+  };
+
+  assert.equal(validateValidity(undefined, serverLimits.validity).value, 10);
+  assert.equal(validateValidity(120, serverLimits.validity).isValid, false);
+  assert.equal(validateValidity(120, serverLimits.validity).error, 'Validity must be between 5 and 60 minutes');
+  assert.match(validateValidity(0).error, /between 1 and 43200 minutes \(30 days\)/);
+  assert.equal(validateMaxClicks(51, serverLimits.maxClicks).isValid, false);
+  assert.equal(validateShortcode('abcd', serverLimits.shortcode).isValid, false);
+  assert.equal(validateShortcode('abcdef', serverLimits.shortcode).isValid, true);
+});
+
+test('shortcodes must be alphanumeric, within the length limits and not reserved', () => {
+  assert.equal(validateShortcode('abc123').isValid, true);
+  assert.equal(validateShortcode('abc').isValid, false);
+  assert.equal(validateShortcode('a'.repeat(LIMITS.shortcode.maxLength + 1)).isValid, false);
+  assert.equal(validateShortcode('abc-12').isValid, false);
+  assert.equal(validateShortcode('').isValid, false);
+  assert.equal(validateShortcode('Admin', { reservedWords: ['admin'] }).isValid, false);
+});
+
+test('URLs need an http(s) scheme and a dotted domain name', () => {
+  assert.deepEqual(validateUrl(' https://example.com/path '), { isValid: true, error: null, normalizedUrl: 'https://example.com/path' });
+  assert.equal(validateUrl('ftp://example.com').isValid, false);
+  assert.equal(validateUrl('https://localhost').isValid, false);
+  assert.equal(validateUrl('https://exa mple.com').isValid, false);
+  assert.equal(validateUrl('https://-example.com').isValid, false);
+  assert.equal(validateUrl('').isValid, false);
+  assert.equal(validateUrl(42).isValid, false);
+});
+
+test('UTM fields are trimmed, limited in length and need a source', () => {
+  const { maxLength } = LIMITS.utm;
+
+  assert.deepEqual(validateUtm({ source: ' news ', medium: '', campaign: 'spring' }).value, { source: 'news', campaign: 'spring' });
+  assert.equal(validateUtm({ source: '', medium: '  ' }).isValid, false);
+  assert.equal(validateUtm({ source: '', medium: '' }).value, null);
+  assert.equal(validateUtm(undefined).value, null);
+  assert.equal(validateUtm({ source: 'a'.repeat(maxLength) }).isValid, true);
+  assert.equal(validateUtm({ source: 'a'.repeat(maxLength + 1) }).isValid, false);
+  assert.equal(validateUtm({ medium: 'email' }).error, 'UTM source is required when other UTM fields are set');
+  assert.match(validateUtm({ sauce: 'x' }).error, /Unknown UTM field "sauce"/);
+  assert.equal(validateUtm(['news']).isValid, false);
+});
+
+test('redirects take the supported statuses and a bounded cache lifetime', () => {
+  const { statuses, defaultStatus, maxCacheAgeSeconds } = LIMITS.redirect;
+
+  assert.deepEqual(validateRedirect(undefined).value, { status: defaultStatus, cacheMaxAge: null });
+  for (const status of statuses) {
+    assert.equal(validateRedirect({ status }).isValid, true, String(status));
+  }
+  assert.equal(validateRedirect({ status: 303 }).isValid, false);
+  assert.equal(validateRedirect({ status: '301' }).isValid, false);
+  assert.deepEqual(validateRedirect({ cacheMaxAge: maxCacheAgeSeconds }).value, { status: defaultStatus, cacheMaxAge: maxCacheAgeSeconds });
+  assert.equal(validateRedirect({ cacheMaxAge: maxCacheAgeSeconds + 1 }).isValid, false);
+  assert.equal(validateRedirect({ cacheMaxAge: -1 }).isValid, false);
+  assert.equal(validateRedirect({ cacheMaxAge: '60' }).isValid, false);
+  assert.equal(validateRedirect({ status: 308 }, { ...LIMITS.redirect, statuses: [302, 307] }).isValid, false);
+});